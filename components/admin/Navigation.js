@@ -1,9 +1,19 @@
+import { useSession } from "next-auth/react";
+
 import SubNav from "@components/navbar/SubNav";
-import { MdPerson, MdOutlineAutoGraph, MdChangeHistory } from "react-icons/md";
+import { adminAccess, hasRole } from "@services/auth/roles";
+import {
+  MdPerson,
+  MdOutlineAutoGraph,
+  MdChangeHistory,
+  MdAdminPanelSettings,
+  MdLinkOff,
+} from "react-icons/md";
 
 const tabs = [
   {
     name: "Statistics",
+    access: adminAccess.statistics,
     href: "/admin/statistics",
     match: [],
     icon: MdOutlineAutoGraph,
@@ -11,6 +21,7 @@ const tabs = [
   },
   {
     name: "Events",
+    access: adminAccess.events,
     href: "/admin/events",
     match: [],
     icon: MdPerson,
@@ -18,20 +29,43 @@ const tabs = [
   },
   {
     name: "Profiles",
+    access: adminAccess.profiles,
     href: "/admin/profiles",
     match: [],
     icon: MdPerson,
     current: false,
   },
+  {
+    name: "Links",
+    access: adminAccess.links,
+    href: "/admin/links",
+    match: [],
+    icon: MdLinkOff,
+    current: false,
+  },
   {
     name: "Changelog",
+    access: adminAccess.changelog,
     href: "/admin/changelog",
     match: [],
     icon: MdChangeHistory,
     current: false,
   },
+  {
+    name: "Roles",
+    access: adminAccess.roles,
+    href: "/admin/roles",
+    match: [],
+    icon: MdAdminPanelSettings,
+    current: false,
+  },
 ];
 
+// only show the sections the user's roles can access
 export default function Navigation() {
-  return <SubNav tabs={tabs} />;
+  const { data: session } = useSession();
+
+  return (
+    <SubNav tabs={tabs.filter((tab) => hasRole(session?.roles, tab.access))} />
+  );
 }
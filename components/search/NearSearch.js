@@ -0,0 +1,109 @@
+import { useState } from "react";
+
+import Input from "@components/form/Input";
+import Select from "@components/form/Select";
+import Button from "@components/Button";
+import Alert from "@components/Alert";
+
+const radiusOptions = [10, 25, 50, 100, 250, 500];
+
+export default function NearSearch({ BASE_URL, tags = [], limit, onResults }) {
+  const [place, setPlace] = useState("");
+  const [radius, setRadius] = useState(50);
+  const [error, setError] = useState();
+  const [isLoading, setIsLoading] = useState(false);
+
+  const search = async (location) => {
+    setIsLoading(true);
+    setError();
+    try {
+      const res = await fetch(
+        `${BASE_URL}/api/search/near?${new URLSearchParams({
+          ...location,
+          radius,
+          ...(limit ? { limit } : {}),
+          ...(tags.length ? { tags: tags.join(",") } : {}),
+        }).toString()}`,
+      );
+      const data = await res.json();
+      if (data.error) {
+        throw new Error(data.error);
+      }
+
+      onResults(data);
+    } catch (e) {
+      setError(e.message);
+      onResults(null);
+    }
+    setIsLoading(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    search({ place });
+  };
+
+  const handleMyLocation = () => {
+    if (!navigator.geolocation) {
+      return setError("Your browser does not support location");
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) =>
+        search({
+          lat: position.coords.latitude,
+          lon: position.coords.longitude,
+        }),
+      () => setError("Unable to get your location"),
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} aria-label="Search near a place">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-end">
+        <div className="grow">
+          <Input
+            name="place"
+            label="Near"
+            placeholder="Place, eg: London"
+            value={place}
+            onChange={(e) => setPlace(e.target.value)}
+          />
+        </div>
+        <Select
+          name="radius"
+          label="Within"
+          value={radius}
+          onChange={(e) => setRadius(e.target.value)}
+          options={radiusOptions.map((km) => ({
+            label: `${km} km`,
+            value: km,
+          }))}
+        />
+        {/* not a submit button, the page search form owns `type="submit"` */}
+        <Button
+          type="button"
+          className="mb-2"
+          onClick={handleSubmit}
+          disabled={!place || isLoading}
+        >
+          Find nearby
+        </Button>
+        <Button
+          type="button"
+          className="mb-2"
+          onClick={handleMyLocation}
+          disabled={isLoading}
+        >
+          Near me
+        </Button>
+      </div>
+      {tags.length > 0 && (
+        <p className="text-sm text-primary-medium dark:text-primary-low">
+          Sharing a tag with: {tags.join(", ")}
+        </p>
+      )}
+      {error && <Alert type="error" message={error} />}
+    </form>
+  );
+}
@@ -0,0 +1,136 @@
+import Tag from "@components/tag/Tag";
+import Toggle from "@components/form/Toggle";
+import Select from "@components/form/Select";
+import Button from "@components/Button";
+import {
+  defaultSearchFilters,
+  hasSearchFilters,
+  updatedWithinDays,
+} from "@services/utils/search/filters";
+
+const flagFilters = [
+  { key: "upcomingEvents", name: "Has upcoming events" },
+  { key: "speaking", name: "Speaking at events" },
+  { key: "hasRepos", name: "Has repos" },
+  { key: "premium", name: "Premium" },
+];
+
+// keep selected values visible even when they are no longer in the results
+function withSelected(items = [], selected = []) {
+  const missing = selected
+    .filter((name) => !items.some((item) => item.name === name))
+    .map((name) => ({ name, total: 0 }));
+
+  return [...missing, ...items];
+}
+
+export default function SearchFilters({ facets, tags, filters, setFilters }) {
+  const tagItems = withSelected(
+    facets?.tags || tags.slice(0, 20),
+    filters.tags,
+  );
+  const countryItems = withSelected(
+    facets?.countries,
+    filters.country ? [filters.country] : [],
+  );
+
+  const toggleTag = (name) =>
+    setFilters({
+      ...filters,
+      tags: filters.tags.includes(name)
+        ? filters.tags.filter((tag) => tag !== name)
+        : [...filters.tags, name],
+    });
+
+  return (
+    <aside className="lg:w-72 flex-none" aria-label="Search filters">
+      <h2 className="text-lg font-bold">Tags</h2>
+      <Select
+        name="tagMode"
+        label="Match"
+        value={filters.tagMode}
+        onChange={(e) => setFilters({ ...filters, tagMode: e.target.value })}
+        options={[
+          { label: "All selected tags", value: "and" },
+          { label: "Any selected tag", value: "or" },
+        ]}
+      />
+      <div className="flex flex-wrap mb-4">
+        {tagItems.map((tag) => (
+          <Tag
+            key={tag.name}
+            name={tag.name}
+            total={tag.total}
+            selected={filters.tags.includes(tag.name)}
+            onClick={() => toggleTag(tag.name)}
+          />
+        ))}
+      </div>
+
+      {countryItems.length > 0 && (
+        <>
+          <h2 className="text-lg font-bold">Country</h2>
+          <div className="flex flex-wrap mb-4">
+            {countryItems.map((country) => (
+              <Tag
+                key={country.name}
+                name={country.name}
+                total={country.total}
+                selected={filters.country === country.name}
+                onClick={() =>
+                  setFilters({
+                    ...filters,
+                    country:
+                      filters.country === country.name ? "" : country.name,
+                  })
+                }
+              />
+            ))}
+          </div>
+        </>
+      )}
+
+      <h2 className="text-lg font-bold mb-2">Profile</h2>
+      <div className="flex flex-col gap-2 mb-4">
+        {flagFilters.map((flag) => (
+          <Toggle
+            key={flag.key}
+            text1={flag.name}
+            text2={facets ? facets[flag.key] : undefined}
+            enabled={filters[flag.key]}
+            setEnabled={() =>
+              setFilters({ ...filters, [flag.key]: !filters[flag.key] })
+            }
+          />
+        ))}
+      </div>
+
+      <Select
+        name="updatedWithin"
+        label="Updated within"
+        value={filters.updatedWithin}
+        onChange={(e) =>
+          setFilters({ ...filters, updatedWithin: parseInt(e.target.value) })
+        }
+        options={[
+          { label: "Any time", value: 0 },
+          ...updatedWithinDays.map((days) => {
+            const total = facets?.updatedWithin.find(
+              (item) => item.days === days,
+            )?.total;
+            return {
+              label: `${days} days${total !== undefined ? ` (${total})` : ""}`,
+              value: days,
+            };
+          }),
+        ]}
+      />
+
+      {hasSearchFilters(filters) && (
+        <Button onClick={() => setFilters(defaultSearchFilters)}>
+          Clear filters
+        </Button>
+      )}
+    </aside>
+  );
+}
@@ -1,4 +1,4 @@
-import { MdArrowUpward } from "react-icons/md";
+import { MdArrowDownward, MdArrowUpward } from "react-icons/md";
 
 import { abbreviateNumber } from "@services/utils/abbreviateNumbers";
 
@@ -26,7 +26,7 @@ export default function BasicCards({ data }) {
                     </span>
                   )}
                 </div>
-                {item.delta && (
+                {item.delta > 0 && (
                   <div className="bg-green-100 text-green-800 inline-flex items-baseline px-2.5 py-0.5 rounded-full text-sm font-medium md:mt-2 lg:mt-0">
                     <MdArrowUpward
                       className="-ml-1 mr-0.5 h-5 w-5 flex-shrink-0 self-center text-green-500"
@@ -36,6 +36,21 @@ export default function BasicCards({ data }) {
                     <>
                       <span className="sr-only">Increased by </span>
                       {abbreviateNumber(item.delta)}
+                      {item.deltaSuffix}
+                    </>
+                  </div>
+                )}
+                {item.delta < 0 && (
+                  <div className="bg-red-100 text-red-800 inline-flex items-baseline px-2.5 py-0.5 rounded-full text-sm font-medium md:mt-2 lg:mt-0">
+                    <MdArrowDownward
+                      className="-ml-1 mr-0.5 h-5 w-5 flex-shrink-0 self-center text-red-500"
+                      aria-hidden="true"
+                    />
+
+                    <>
+                      <span className="sr-only">Decreased by </span>
+                      {abbreviateNumber(Math.abs(item.delta))}
+                      {item.deltaSuffix}
                     </>
                   </div>
                 )}
@@ -0,0 +1,73 @@
+import { abbreviateNumber } from "@services/utils/abbreviateNumbers";
+import { classNames } from "@services/utils/classNames";
+
+function Change({ delta }) {
+  if (delta === null) {
+    return <span className="text-green-600 dark:text-green-400">new</span>;
+  }
+
+  return (
+    <span
+      className={classNames(
+        delta > 0 && "text-green-600 dark:text-green-400",
+        delta < 0 && "text-red-600 dark:text-red-400",
+      )}
+    >
+      {delta > 0 && "+"}
+      {delta}%
+    </span>
+  );
+}
+
+export default function ComparisonTable({ data, name, limit = 10 }) {
+  return (
+    <table className="min-w-full divide-y divide-primary-medium-low">
+      <thead className="bg-primary-low dark:bg-primary-medium">
+        <tr>
+          <th
+            scope="col"
+            className="py-3.5 pl-4 pr-3 text-left text-sm font-semibold text-primary-high dark:text-primary-low sm:pl-6"
+          >
+            {name}
+          </th>
+          <th
+            scope="col"
+            className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+          >
+            Visits
+          </th>
+          <th
+            scope="col"
+            className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+          >
+            Previous
+          </th>
+          <th
+            scope="col"
+            className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+          >
+            Change
+          </th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-primary-low dark:divide-primary-medium bg-white dark:bg-primary-high">
+        {data.slice(0, limit).map((item) => (
+          <tr key={item.name}>
+            <td className="md:whitespace-nowrap py-4 pl-4 pr-3 text-sm font-medium text-primary-high dark:text-primary-low sm:pl-6">
+              {item.name.replaceAll("|", ".")}
+            </td>
+            <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+              {abbreviateNumber(item.current)}
+            </td>
+            <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+              {abbreviateNumber(item.previous)}
+            </td>
+            <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+              <Change delta={item.delta} />
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
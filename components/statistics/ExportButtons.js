@@ -0,0 +1,22 @@
+import { MdDownload } from "react-icons/md";
+
+import Button from "@components/Button";
+
+export default function ExportButtons({ BASE_URL, type, query = {} }) {
+  const href = (format) =>
+    `${BASE_URL}/api/account/statistics/export/${type}?${new URLSearchParams({
+      ...query,
+      format,
+    }).toString()}`;
+
+  return (
+    <div className="flex gap-4 my-4">
+      {["csv", "json"].map((format) => (
+        <Button key={format} href={href(format)} download>
+          <MdDownload className="h-5 w-5 mr-2" />
+          Download {format.toUpperCase()}
+        </Button>
+      ))}
+    </div>
+  );
+}
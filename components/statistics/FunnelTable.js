@@ -0,0 +1,58 @@
+import { abbreviateNumber } from "@services/utils/abbreviateNumbers";
+
+export default function FunnelTable({ data, name, showViews = true }) {
+  return (
+    <table className="min-w-full divide-y divide-primary-medium-low">
+      <thead className="bg-primary-low dark:bg-primary-medium">
+        <tr>
+          <th
+            scope="col"
+            className="py-3.5 pl-4 pr-3 text-left text-sm font-semibold text-primary-high dark:text-primary-low sm:pl-6"
+          >
+            {name}
+          </th>
+          {showViews && (
+            <th
+              scope="col"
+              className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+            >
+              Views
+            </th>
+          )}
+          <th
+            scope="col"
+            className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+          >
+            Clicks
+          </th>
+          <th
+            scope="col"
+            className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+          >
+            Click-through rate
+          </th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-primary-low dark:divide-primary-medium bg-white dark:bg-primary-high">
+        {data.map((item) => (
+          <tr key={item._id || item.name}>
+            <td className="md:whitespace-nowrap py-4 pl-4 pr-3 text-sm font-medium text-primary-high dark:text-primary-low sm:pl-6">
+              {item.name.replaceAll("|", ".")}
+            </td>
+            {showViews && (
+              <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+                {abbreviateNumber(item.views)}
+              </td>
+            )}
+            <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+              {abbreviateNumber(item.clicks)}
+            </td>
+            <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+              {item.ctr === null ? "-" : `${item.ctr}%`}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
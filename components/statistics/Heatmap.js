@@ -0,0 +1,86 @@
+import { useMemo, useState } from "react";
+
+import Select from "@components/form/Select";
+
+const days = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const hours = [...Array(24).keys()];
+
+// traffic by day of the week and hour of the day, uses the timezone of the
+// browser so it must not be rendered on the server
+export default function Heatmap({ data }) {
+  const [dataKey, setDataKey] = useState("views");
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const { grid, max } = useMemo(() => {
+    const grid = days.map(() => hours.map(() => 0));
+    data.forEach((item) => {
+      const time = new Date(item.time);
+      grid[time.getDay()][time.getHours()] += item[dataKey];
+    });
+
+    return { grid, max: Math.max(1, ...grid.flat()) };
+  }, [data, dataKey]);
+
+  return (
+    <div className="px-4 sm:px-6 pb-4 overflow-x-auto">
+      <div className="mb-4 flex flex-col gap-2 sm:flex-row sm:items-end sm:justify-between">
+        <Select
+          name="heatmap"
+          label="Show"
+          value={dataKey}
+          onChange={(e) => setDataKey(e.target.value)}
+          options={[
+            { label: "Profile views", value: "views" },
+            { label: "Link clicks", value: "clicks" },
+          ]}
+        />
+        <p className="text-sm text-primary-medium dark:text-primary-medium-low">
+          Times are in your timezone ({timeZone})
+        </p>
+      </div>
+      <table className="border-separate border-spacing-0.5 text-xs text-primary-medium dark:text-primary-low">
+        <thead>
+          <tr>
+            <th scope="col">
+              <span className="sr-only">Day</span>
+            </th>
+            {hours.map((hour) => (
+              <th scope="col" key={hour} className="w-6 font-normal">
+                {hour % 3 === 0 ? hour : ""}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {grid.map((row, day) => (
+            <tr key={days[day]}>
+              <th scope="row" className="pr-2 text-left font-normal">
+                {days[day]}
+              </th>
+              {row.map((value, hour) => (
+                <td
+                  key={hour}
+                  className="h-6 w-6 rounded-sm bg-primary-low dark:bg-primary-medium"
+                  style={
+                    value
+                      ? {
+                          backgroundColor: `rgba(56, 161, 173, ${
+                            0.15 + (value / max) * 0.85
+                          })`,
+                        }
+                      : undefined
+                  }
+                  title={`${days[day]} ${hour}:00 - ${value} ${
+                    dataKey === "views" ? "views" : "clicks"
+                  }`}
+                >
+                  <span className="sr-only">{value}</span>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { useEffect, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  CartesianGrid,
+  Legend,
+  Tooltip,
+  XAxis,
+  YAxis,
+  ResponsiveContainer,
+} from "recharts";
+
+const liveMinutes = 30;
+
+const formatTime = (value) =>
+  new Date(value).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// rolling chart of the last 30 minutes, fed by the live statistics stream
+export default function LivePanel({ BASE_URL }) {
+  const [data, setData] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [isConnected, setIsConnected] = useState(false);
+
+  useEffect(() => {
+    // the stream ends every minute or so, `EventSource` reconnects by itself
+    const source = new EventSource(`${BASE_URL}/api/account/statistics/live`);
+    source.onopen = () => setIsConnected(true);
+    source.onerror = () => setIsConnected(false);
+    source.addEventListener("live", (e) => {
+      const live = JSON.parse(e.data);
+      setData(
+        live.minutes.map((minute) => ({
+          ...minute,
+          time: new Date(minute.time).getTime(),
+        })),
+      );
+      setEvents(live.events);
+    });
+
+    return () => source.close();
+  }, [BASE_URL]);
+
+  const views = data.reduce((acc, minute) => acc + minute.views, 0);
+  const clicks = data.reduce((acc, minute) => acc + minute.clicks, 0);
+
+  return (
+    <div className="px-4 sm:px-6 pb-4">
+      <p className="mb-4 text-sm text-primary-medium dark:text-primary-medium-low">
+        <span
+          className={`mr-2 inline-block h-2 w-2 rounded-full ${
+            isConnected ? "bg-green-500" : "bg-red-500"
+          }`}
+          aria-hidden="true"
+        />
+        {isConnected ? "Live" : "Reconnecting"}: {views} views and {clicks}{" "}
+        clicks in the last {liveMinutes} minutes
+      </p>
+      <div className="w-full h-60">
+        <ResponsiveContainer height="100%">
+          <BarChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="time" tickFormatter={formatTime} />
+            <YAxis allowDecimals={false} />
+            <Tooltip
+              labelFormatter={formatTime}
+              contentStyle={{
+                color: "black",
+              }}
+            />
+            <Legend />
+            <Bar dataKey="views" name="Views" fill="#38a1ad" />
+            <Bar dataKey="clicks" name="Clicks" fill="#ed616b" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      {events.length > 0 && (
+        <ul className="mt-4 divide-y divide-primary-low dark:divide-primary-medium text-sm">
+          {events.map((event) => (
+            <li
+              key={`${event.type}-${event.time}-${event.name || event.source}`}
+              className="flex justify-between gap-x-4 py-2 text-primary-medium dark:text-primary-low"
+            >
+              <span>
+                {event.type === "click"
+                  ? `Click on ${event.name || event.url}`
+                  : `View from ${event.source}`}
+              </span>
+              <span>{formatTime(event.time)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
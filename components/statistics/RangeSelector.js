@@ -0,0 +1,71 @@
+import { useState } from "react";
+import { useRouter } from "next/router";
+
+import Button from "@components/Button";
+import Input from "@components/form/Input";
+import Select from "@components/form/Select";
+import { formatDay, rangeDays } from "@services/stats/range";
+
+export default function RangeSelector({ range }) {
+  const router = useRouter();
+  const [days, setDays] = useState(range.custom ? "custom" : range.days);
+  const [from, setFrom] = useState(formatDay(range.from));
+  const [to, setTo] = useState(formatDay(range.to));
+
+  const show = (query) =>
+    router.push({ pathname: router.pathname, query }, undefined, {
+      scroll: false,
+    });
+
+  const handleDays = (e) => {
+    setDays(e.target.value);
+    if (e.target.value !== "custom") {
+      show({ days: e.target.value });
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-2 sm:flex-row sm:items-end">
+      <Select
+        name="range"
+        label="Period"
+        value={days}
+        onChange={handleDays}
+        options={[
+          ...rangeDays.map((value) => ({
+            label: `Last ${value} days`,
+            value,
+          })),
+          { label: "Custom range", value: "custom" },
+        ]}
+      />
+      {days === "custom" && (
+        <>
+          <Input
+            type="date"
+            name="from"
+            label="From"
+            value={from}
+            max={to}
+            onChange={(e) => setFrom(e.target.value)}
+          />
+          <Input
+            type="date"
+            name="to"
+            label="To"
+            value={to}
+            min={from}
+            onChange={(e) => setTo(e.target.value)}
+          />
+          <Button
+            className="mb-2"
+            onClick={() => show({ from, to })}
+            disabled={!from || !to}
+          >
+            Apply
+          </Button>
+        </>
+      )}
+    </div>
+  );
+}
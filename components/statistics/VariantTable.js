@@ -0,0 +1,97 @@
+import { abbreviateNumber } from "@services/utils/abbreviateNumbers";
+import Button from "@components/Button";
+
+function comparison(variant, index) {
+  if (index === 0) {
+    return "Current name";
+  }
+  if (variant.z === null) {
+    return "Needs more views";
+  }
+  if (!variant.isSignificant) {
+    return "No clear difference yet";
+  }
+
+  return variant.z > 0 ? "Better (95% confidence)" : "Worse (95% confidence)";
+}
+
+export default function VariantTable({ data, onPromote, isDisabled }) {
+  return (
+    <table className="min-w-full divide-y divide-primary-medium-low">
+      <thead className="bg-primary-low dark:bg-primary-medium">
+        <tr>
+          <th
+            scope="col"
+            className="py-3.5 pl-4 pr-3 text-left text-sm font-semibold text-primary-high dark:text-primary-low sm:pl-6"
+          >
+            Name
+          </th>
+          <th
+            scope="col"
+            className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+          >
+            Views
+          </th>
+          <th
+            scope="col"
+            className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+          >
+            Clicks
+          </th>
+          <th
+            scope="col"
+            className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+          >
+            Click-through rate
+          </th>
+          <th
+            scope="col"
+            className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+          >
+            Compared to current name
+          </th>
+          <th scope="col" className="px-3 py-3.5">
+            <span className="sr-only">Promote</span>
+          </th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-primary-low dark:divide-primary-medium bg-white dark:bg-primary-high">
+        {data.map((item, index) => (
+          <tr key={item.name}>
+            <td className="md:whitespace-nowrap py-4 pl-4 pr-3 text-sm font-medium text-primary-high dark:text-primary-low sm:pl-6">
+              {item.name}
+              {item.isWinner && (
+                <span className="ml-2 rounded-full bg-green-100 px-2 py-1 text-xs text-green-800">
+                  Winner
+                </span>
+              )}
+            </td>
+            <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+              {abbreviateNumber(item.views)}
+            </td>
+            <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+              {abbreviateNumber(item.clicks)}
+            </td>
+            <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+              {item.ctr === null ? "-" : `${item.ctr}%`}
+            </td>
+            <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+              {comparison(item, index)}
+            </td>
+            <td className="whitespace-nowrap px-3 py-4 text-sm">
+              {index > 0 && (
+                <Button
+                  onClick={() => onPromote(item.name)}
+                  disabled={isDisabled}
+                  primary={item.isWinner}
+                >
+                  Use this name
+                </Button>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -6,6 +6,8 @@ import styles from "../../styles/animation.module.css";
 import config from "@config/app.json";
 import { classNames } from "@services/utils/classNames";
 import Bulb from "@components/Bulb";
+import dateFormat from "@services/utils/dateFormat";
+import { getLinkSchedule } from "@services/utils/link/schedule";
 const animations = config.animations;
 
 const getLinkAnimation = new Map([
@@ -20,6 +22,32 @@ const getIconAnimation = new Map([
   [animations.iconGlow, styles.glow],
 ]);
 
+const scheduleBadges = {
+  scheduled: "bg-secondary-low text-secondary-high",
+  live: "bg-tertiary-low text-tertiary-high",
+  expired: "bg-primary-low text-primary-high",
+};
+
+// links flagged by the url safety checks, see `services/links/safety`
+const safetyLabels = {
+  quarantined: "In review",
+  rejected: "Rejected",
+};
+
+const scheduleLabel = (link) => {
+  const schedule = getLinkSchedule(link);
+  const format = (date) => dateFormat({ format: "short", date });
+
+  if (schedule === "scheduled") {
+    return `Starts ${format(link.startsAt)}`;
+  }
+  if (schedule === "expired") {
+    return `Expired ${format(link.endsAt)}`;
+  }
+
+  return link.endsAt ? `Until ${format(link.endsAt)}` : "Live";
+};
+
 export default function UserLink({
   BASE_URL,
   link,
@@ -86,6 +114,32 @@ export default function UserLink({
           {link.isEnabled ? "Enabled" : "Disabled"}
         </span>
       )}
+      {manage && (link.startsAt || link.endsAt) && (
+        <span
+          className={classNames(
+            scheduleBadges[getLinkSchedule(link)],
+            "inline-flex items-center rounded-md px-2 py-1 text-xs font-medium ring-1 ring-inset ring-primary-high/10",
+          )}
+        >
+          {scheduleLabel(link)}
+        </span>
+      )}
+      {manage && link.health?.failures > 0 && (
+        <span
+          className="inline-flex items-center rounded-md px-2 py-1 text-xs font-medium bg-red-50 text-red-700 ring-1 ring-inset ring-red-600/10"
+          title={`${link.health.error}, failed ${link.health.failures} checks in a row`}
+        >
+          Broken
+        </span>
+      )}
+      {manage && safetyLabels[link.safety?.status] && (
+        <span
+          className="inline-flex items-center rounded-md px-2 py-1 text-xs font-medium bg-yellow-50 text-yellow-800 ring-1 ring-inset ring-yellow-600/20"
+          title={link.safety.reasons?.join(", ")}
+        >
+          {safetyLabels[link.safety.status]}
+        </span>
+      )}
       {manage && link.group && (
         <span className="inline-flex items-center rounded-md px-2 py-1 text-xs font-medium bg-tertiary-high text-tertiary-low ring-1 ring-inset ring-tertiary-low/10">
           {link.group}
@@ -10,6 +10,7 @@ export default function UserMini({
   bio,
   text,
   monthly,
+  period = "last 30 days",
   total,
   clicks,
   rank,
@@ -68,7 +69,7 @@ export default function UserMini({
               {abbreviateNumber(monthly)}
             </span>{" "}
             <span className="text-primary-medium dark:text-primary-low-medium">
-              Profile views last 30 days
+              Profile views {period}
             </span>
           </div>
           <div className="px-6 py-5 text-center text-sm font-medium">
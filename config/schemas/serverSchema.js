@@ -19,6 +19,16 @@ const envSchema = z.object({
   VERCEL_PROJECT_ID: z.string().optional(),
   VERCEL_TEAM_ID: z.string().optional(),
   VERCEL_AUTH_TOKEN: z.string().optional(),
+  STATS_ROLLUP_AFTER_DAYS: z.string().optional(),
+  STATS_BUFFER_FLUSH_SECONDS: z.string().optional(),
+  GEOIP_PROVIDER: z.enum(["local", "http"]).default("local"),
+  GEOIP_DATABASE_PATH: z.string().optional(),
+  MAIL_TRANSPORT: z.enum(["console", "file", "smtp"]).default("console"),
+  MAIL_FROM: z.string().optional(),
+  MAIL_FILE_DIR: z.string().optional(),
+  SMTP_URL: z.string().optional(),
+  URL_BLOCKLIST_PATH: z.string().optional(),
+  LINK_CHECKER_ALLOW_HOSTS: z.string().optional(),
 });
 
 const serverEnv = envSchema.safeParse(process.env);
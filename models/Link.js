@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 
 import config from "@config/app.json";
+import { utmModes } from "@services/utils/link/utm";
 
 const animations = Object.keys(config.animations);
 
@@ -29,6 +30,41 @@ const LinkSchema = new mongoose.Schema(
       min: 2,
       max: 256,
     },
+    // alternate names to test against `name`, see `services/stats/variants`
+    variants: {
+      type: [String],
+      default: undefined,
+    },
+    // urls flagged by `services/links/safety` wait for an admin review
+    safety: {
+      status: {
+        type: String,
+        enum: {
+          values: ["quarantined", "approved", "rejected"],
+          message: "{VALUE} is not a supported review status",
+        },
+      },
+      reasons: [String],
+      reviewedBy: String,
+      reviewedAt: Date,
+    },
+    // last result of the link checker, see `services/links/health`
+    health: {
+      status: Number,
+      error: String,
+      checkedAt: Date,
+      failures: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // short alias, see `services/utils/link/slug`
+    slug: {
+      type: String,
+      required: false,
+      lowercase: true,
+      trim: true,
+    },
     icon: {
       type: String,
       required: true,
@@ -37,6 +73,14 @@ const LinkSchema = new mongoose.Schema(
     },
     isEnabled: Boolean,
     isPinned: Boolean,
+    startsAt: {
+      type: Date,
+      required: false,
+    },
+    endsAt: {
+      type: Date,
+      required: false,
+    },
     order: Number,
     clicks: {
       type: Number,
@@ -57,10 +101,31 @@ const LinkSchema = new mongoose.Schema(
       min: 2,
       max: 32,
     },
+    // utm params added to the url on redirect, see `services/utils/link/utm`
+    utm: {
+      mode: {
+        type: String,
+        enum: {
+          values: utmModes,
+          message: "{VALUE} is not a supported utm setting",
+        },
+        default: "profile",
+      },
+      source: String,
+      medium: String,
+      campaign: String,
+    },
   },
   { timestamps: true },
 );
 
 LinkSchema.index({ username: 1, url: 1 });
+LinkSchema.index({ "health.checkedAt": 1 });
+LinkSchema.index({ "health.failures": 1 });
+LinkSchema.index({ "safety.status": 1 });
+LinkSchema.index(
+  { username: 1, slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $type: "string" } } },
+);
 
 module.exports = mongoose.models.Link || mongoose.model("Link", LinkSchema);
@@ -15,10 +15,56 @@ const linkStatsSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    stats: {
+      referers: {
+        type: Map,
+        of: Number,
+      },
+      countries: {
+        type: Map,
+        of: Number,
+      },
+      devices: {
+        type: Map,
+        of: Number,
+      },
+      // source of the profile visit the click came from
+      sources: {
+        type: Map,
+        of: Number,
+      },
+      // views and clicks of each link name, see `services/stats/variants`
+      variantViews: {
+        type: Map,
+        of: Number,
+      },
+      variants: {
+        type: Map,
+        of: Number,
+      },
+    },
+    // clicks per hour of the (server local) day, only kept on daily documents
+    hours: {
+      type: Map,
+      of: Number,
+    },
     date: {
       type: Date,
       default: new Date(),
     },
+    // daily documents are compacted into monthly ones after a while
+    granularity: {
+      type: String,
+      enum: ["day", "month"],
+      default: "day",
+    },
+    // set on daily documents while they are being rolled up and kept on the
+    // month they were added to, so a failed run is not counted twice
+    rollup: mongoose.Schema.Types.ObjectId,
+    rollups: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: undefined,
+    },
     link: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Link",
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// recent profile views and link clicks for the live statistics panel, shared
+// by every server instance and removed once out of the live window
+const LiveEventSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["view", "click"],
+      required: true,
+    },
+    source: String,
+    name: String,
+    url: String,
+  },
+  { timestamps: true },
+);
+
+LiveEventSchema.index({ username: 1, createdAt: -1 });
+LiveEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 35 * 60 });
+
+module.exports =
+  mongoose.models.LiveEvent || mongoose.model("LiveEvent", LiveEventSchema);
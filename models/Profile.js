@@ -50,6 +50,35 @@ const ProfileSchema = new Schema(
       type: Boolean,
       default: false,
     },
+    // default utm params for link redirects, see `services/utils/link/utm`
+    utm: {
+      isEnabled: {
+        type: Boolean,
+        default: false,
+      },
+      source: String,
+      medium: String,
+      campaign: String,
+    },
+    // weekly statistics email
+    digest: {
+      isEnabled: {
+        type: Boolean,
+        default: false,
+      },
+      lastSentAt: {
+        type: Date,
+      },
+      lastRank: {
+        type: Number,
+      },
+    },
+    // live statistics panel
+    live: {
+      watchedAt: {
+        type: Date,
+      },
+    },
     username: {
       type: String,
       required: true,
@@ -76,6 +105,16 @@ const ProfileSchema = new Schema(
       name: String,
       lat: Number,
       lon: Number,
+      point: {
+        type: {
+          type: String,
+          enum: ["Point"],
+        },
+        coordinates: {
+          type: [Number],
+          default: undefined,
+        },
+      },
       updatedAt: Date,
     },
     views: {
@@ -161,5 +200,29 @@ const ProfileSchema = new Schema(
   { timestamps: true, toJSON: { getters: true } },
 );
 
+ProfileSchema.index(
+  {
+    username: "text",
+    name: "text",
+    tags: "text",
+    bio: "text",
+    "location.provided": "text",
+    "location.name": "text",
+  },
+  {
+    name: "ProfileSearchIndex",
+    weights: {
+      username: 10,
+      name: 8,
+      tags: 5,
+      "location.provided": 3,
+      "location.name": 3,
+      bio: 1,
+    },
+  },
+);
+
+ProfileSchema.index({ "location.point": "2dsphere" });
+
 module.exports =
   mongoose.models?.Profile || mongoose.model("Profile", ProfileSchema);
@@ -11,6 +11,10 @@ const profileStatsSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    visitors: {
+      type: Number,
+      default: 0,
+    },
     stats: {
       referers: {
         type: Map,
@@ -20,11 +24,51 @@ const profileStatsSchema = new mongoose.Schema(
         type: Map,
         of: Number,
       },
+      // referers grouped by site and type, see `services/stats/referers`
+      sources: {
+        type: Map,
+        of: Number,
+      },
+      channels: {
+        type: Map,
+        of: Number,
+      },
+      // campaign query params, eg. `?utm_source=newsletter` or `?ref=cv`
+      utmSources: {
+        type: Map,
+        of: Number,
+      },
+      utmCampaigns: {
+        type: Map,
+        of: Number,
+      },
+      refs: {
+        type: Map,
+        of: Number,
+      },
+    },
+    // views per hour of the (server local) day, only kept on daily documents
+    hours: {
+      type: Map,
+      of: Number,
     },
     date: {
       type: Date,
       default: new Date(),
     },
+    // daily documents are compacted into monthly ones after a while
+    granularity: {
+      type: String,
+      enum: ["day", "month"],
+      default: "day",
+    },
+    // set on daily documents while they are being rolled up and kept on the
+    // month they were added to, so a failed run is not counted twice
+    rollup: mongoose.Schema.Types.ObjectId,
+    rollups: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: undefined,
+    },
     profile: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Profile",
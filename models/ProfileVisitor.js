@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// one document per hashed visitor per profile per day, used to count
+// unique visitors in `ProfileStats`
+const ProfileVisitorSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+ProfileVisitorSchema.index({ username: 1, date: 1, hash: 1 }, { unique: true });
+ProfileVisitorSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2 * 86400 });
+
+module.exports =
+  mongoose.models.ProfileVisitor ||
+  mongoose.model("ProfileVisitor", ProfileVisitorSchema);
@@ -14,6 +14,21 @@ const StatsSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // automated traffic kept out of the profile and link stats
+    bots: {
+      users: {
+        type: Number,
+        default: 0,
+      },
+      clicks: {
+        type: Number,
+        default: 0,
+      },
+      reasons: {
+        type: Map,
+        of: Number,
+      },
+    },
     totalProfiles: {
       type: Number,
       default: 0,
@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 
+import config from "@config/app.json";
+
 const UserSchema = new mongoose.Schema(
   {
     type: {
@@ -18,6 +20,18 @@ const UserSchema = new mongoose.Schema(
     premiumTrialStartDate: {
       type: Date,
     },
+    roles: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: config.roles,
+            message: "{VALUE} is not a supported role",
+          },
+        },
+      ],
+      default: [],
+    },
     name: {
       type: String,
       trim: true,
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// random salt for hashing visitors, removed soon after its day is over
+// so the hashes can never be recalculated
+const VisitorSaltSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: true,
+      unique: true,
+    },
+    salt: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+VisitorSaltSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2 * 86400 });
+
+module.exports =
+  mongoose.models.VisitorSalt ||
+  mongoose.model("VisitorSalt", VisitorSaltSchema);
@@ -1,23 +1,29 @@
 import Account from "./Account";
 import Changelog from "./Changelog";
 import Link from "./Link";
+import LiveEvent from "./LiveEvent";
 import LinkStats from "./LinkStats";
 import Profile from "./Profile";
 import ProfileStats from "./ProfileStats";
+import ProfileVisitor from "./ProfileVisitor";
 import Session from "./Session";
 import Stats from "./Stats";
 import User from "./User";
 import VerificationToken from "./VerificationToken";
+import VisitorSalt from "./VisitorSalt";
 
 export {
   Account,
   Changelog,
   Link,
+  LiveEvent,
   LinkStats,
   Profile,
   ProfileStats,
+  ProfileVisitor,
   Session,
   Stats,
   User,
   VerificationToken,
+  VisitorSalt,
 };
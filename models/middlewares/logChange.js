@@ -1,18 +1,19 @@
 import logger from "@config/logger";
 import { Changelog } from "@models/index";
 
-export default async function logChange(session, { model, changesBefore, changesAfter }) {
+// `operation` is only passed for changes that are not a plain create, update
+// or delete, eg. a link url that was "REJECT"ed or put in "QUARANTINE"
+export default async function logChange(session, { model, changesBefore, changesAfter, operation }) {
   let userId = session.user.id;
-  let operation;
   let diff;
 
   const docId = changesAfter ? changesAfter._id : changesBefore._id;
 
   if (changesBefore && changesAfter) {
-    operation = "UPDATE";
+    operation = operation || "UPDATE";
     diff = getChangesDiff(changesBefore, changesAfter);
   } else {
-    operation = changesAfter ? "CREATE" : "DELETE";
+    operation = operation || (changesAfter ? "CREATE" : "DELETE");
     diff = changesAfter;
   }
 
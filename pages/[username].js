@@ -16,6 +16,7 @@ import Page from "@components/Page";
 import UserPage from "@components/user/UserPage";
 import { abbreviateNumber } from "@services/utils/abbreviateNumbers";
 import Button from "@components/Button";
+import Link from "@components/Link";
 
 export async function getServerSideProps(context) {
   const { req, res } = context;
@@ -25,6 +26,7 @@ export async function getServerSideProps(context) {
   const { status, profile } = await getUserApi(req, res, username, {
     referer: req.headers.referer,
     ip: requestIp.getClientIp(req),
+    query: context.query,
   });
 
   if (status !== 200) {
@@ -106,9 +108,13 @@ export default function User({ data, BASE_URL }) {
             >
               <FaEye />
             </IconContext.Provider>
-            <p className="text-sm font-medium text-primary-medium">
+            <Link
+              href={`/${data.username}/stats`}
+              className="text-sm font-medium text-primary-medium"
+              title="Profile statistics"
+            >
               {abbreviateNumber(data.views)}
-            </p>
+            </Link>
           </div>
         </div>
       )}
@@ -0,0 +1,26 @@
+import {
+  followLinkApi,
+  getLinkBySlugApi,
+} from "pages/api/profiles/[username]/links/[_id]";
+
+// short alias for a link, clicks are counted the same as on the profile
+export async function getServerSideProps(context) {
+  const { req, res } = context;
+  const { username, slug } = context.query;
+
+  const link = await getLinkBySlugApi(username, slug);
+  if (!link) {
+    return { notFound: true };
+  }
+
+  return {
+    redirect: {
+      destination: await followLinkApi(req, res, username, link),
+      permanent: false,
+    },
+  };
+}
+
+export default function LinkAlias() {
+  return null;
+}
@@ -0,0 +1,104 @@
+import dynamic from "next/dynamic";
+
+import { getPublicStatsApi } from "pages/api/profiles/[username]/stats";
+import Page from "@components/Page";
+import PageHead from "@components/PageHead";
+import Link from "@components/Link";
+import BasicCards from "@components/statistics/BasicCards";
+import BreakdownTable from "@components/statistics/BreakdownTable";
+import { PROJECT_NAME } from "@constants/index";
+
+const DynamicChart = dynamic(
+  () => import("../../components/statistics/BarGraph"),
+  { ssr: false },
+);
+
+const DynamicPieChart = dynamic(
+  () => import("../../components/statistics/PieGraph"),
+  { ssr: false },
+);
+
+export async function getServerSideProps(context) {
+  const { status, stats } = await getPublicStatsApi(context.query.username);
+  if (status !== 200) {
+    return { notFound: true };
+  }
+
+  return {
+    props: { stats },
+  };
+}
+
+export default function PublicStatistics({ stats }) {
+  return (
+    <>
+      <PageHead
+        title={`${stats.name} statistics`}
+        description={`Public ${PROJECT_NAME} statistics for ${stats.name}`}
+      />
+
+      <Page>
+        <h1 className="text-4xl mb-4 font-bold">
+          Statistics for <Link href={`/${stats.username}`}>{stats.name}</Link>
+        </h1>
+
+        <BasicCards
+          data={[
+            { name: "Total profile views", current: stats.total },
+            {
+              name: `Profile views (last ${stats.days} days)`,
+              current: stats.views,
+            },
+          ]}
+        />
+
+        {stats.views > 0 && (
+          <div className="border my-6 dark:border-primary-medium">
+            <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+              <h3 className="text-lg font-medium leading-6 text-primary-high">
+                Profile views
+              </h3>
+              <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+                Number of Profile visits per day for the last {stats.days} days
+              </p>
+            </div>
+            <DynamicChart data={stats.daily} />
+          </div>
+        )}
+
+        {stats.links.length > 0 && (
+          <div className="border mb-6 dark:border-primary-medium">
+            <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+              <h3 className="text-lg font-medium leading-6 text-primary-high">
+                Top links
+              </h3>
+              <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+                Most clicked links of all time
+              </p>
+            </div>
+            <BreakdownTable data={stats.links} name="Link" />
+          </div>
+        )}
+
+        {stats.countries.length > 0 && (
+          <div className="border mb-6 dark:border-primary-medium">
+            <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+              <h3 className="text-lg font-medium leading-6 text-primary-high">
+                Locations
+              </h3>
+              <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+                Countries the profile visits came from
+              </p>
+            </div>
+            <DynamicPieChart data={stats.countries} />
+            <BreakdownTable
+              data={stats.countries}
+              name="Country"
+              valueName="Visits"
+            />
+          </div>
+        )}
+      </Page>
+    </>
+  );
+}
@@ -0,0 +1,65 @@
+import Button from "@components/Button";
+import PageHead from "@components/PageHead";
+import Page from "@components/Page";
+import { PROJECT_NAME } from "@constants/index";
+
+const messages = {
+  scheduled: {
+    title: "Link not available yet",
+    description: "This link has been scheduled and is not live yet.",
+  },
+  expired: {
+    title: "Link has expired",
+    description: "This link was only available for a limited time.",
+  },
+  review: {
+    title: "Link is being reviewed",
+    description: "This link is waiting to be checked by our moderators.",
+  },
+};
+
+export async function getServerSideProps(context) {
+  const { username, schedule } = context.query;
+
+  return {
+    props: { username, schedule: messages[schedule] ? schedule : "expired" },
+  };
+}
+
+export default function LinkUnavailable({ username, schedule }) {
+  const { title, description } = messages[schedule];
+
+  return (
+    <>
+      <PageHead
+        title={`${PROJECT_NAME} ${title.toLowerCase()}`}
+        description={description}
+      />
+      <Page>
+        <div className="grid min-h-full place-items-center px-6 py-24 sm:py-32 lg:px-8">
+          <div className="text-center">
+            <h1 className="mt-4 text-3xl font-bold tracking-tight text-primary-high dark:text-primary-low sm:text-5xl">
+              {title}
+            </h1>
+            <p className="m-6 text-base leading-7 text-primary-high dark:text-primary-low">
+              {description} Visit the profile of {username} for their latest
+              links.
+            </p>
+            <div className="mt-10 flex items-center justify-center gap-x-6">
+              <Button
+                href={`/${username}`}
+                primary={true}
+                aria-label={`Back to ${username} profile`}
+              >
+                Profile
+              </Button>
+              <Button href="/" aria-label="Back to home">
+                Home
+              </Button>
+            </div>
+          </div>
+        </div>
+      </Page>
+    </>
+  );
+}
@@ -1,5 +1,5 @@
 import Router from "next/router";
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { authOptions } from "../../../api/auth/[...nextauth]";
 import { getServerSession } from "next-auth/next";
 
@@ -13,21 +13,36 @@ import {
   getGroupLinkApi,
   getLinkApi,
 } from "pages/api/account/manage/link/[[...data]]";
+import { getProfileApi } from "pages/api/account/manage/profile";
 import Input from "@components/form/Input";
 import UserLink from "@components/user/UserLink";
 import Toggle from "@components/form/Toggle";
 import Notification from "@components/Notification";
 import Link from "@components/Link";
 import ConfirmDialog from "@components/ConfirmDialog";
+import ClipboardCopy from "@components/ClipboardCopy";
 import { PROJECT_NAME } from "@constants/index";
 import IconSearch from "@components/IconSearch";
 import Select from "@components/form/Select";
 import config from "@config/app.json";
 import { objectToLabelValueArray } from "@services/utils/objectToLabelValueArray";
 import GroupLinkSearch from "@components/GroupLinkSearch";
+import {
+  defaultUtm,
+  getTaggedUrl,
+  utmVariables,
+} from "@services/utils/link/utm";
+import { formatSlug, maxSlugLength } from "@services/utils/link/slug";
+import { maxVariants } from "@services/utils/link/variants";
 
 const animations = config.animations;
 
+const utmModes = [
+  { value: "profile", label: "Use profile settings" },
+  { value: "custom", label: "Custom for this link" },
+  { value: "off", label: "Don't add UTM tags" },
+];
+
 export async function getServerSideProps(context) {
   const session = await getServerSession(context.req, context.res, authOptions);
   const username = session.username;
@@ -35,11 +50,17 @@ export async function getServerSideProps(context) {
 
   let link = {};
   let groups = [];
+  let profileUtm = null;
   try {
     groups = await getGroupLinkApi(username);
   } catch (e) {
     logger.error(e, `Group ${id} failed for username: ${username}`);
   }
+  try {
+    profileUtm = (await getProfileApi(username)).utm || null;
+  } catch (e) {
+    logger.error(e, `utm settings failed for username: ${username}`);
+  }
   if (id) {
     try {
       link = await getLinkApi(username, id);
@@ -49,11 +70,23 @@ export async function getServerSideProps(context) {
   }
 
   return {
-    props: { username, link, BASE_URL: clientEnv.NEXT_PUBLIC_BASE_URL, groups },
+    props: {
+      username,
+      link,
+      profileUtm,
+      BASE_URL: clientEnv.NEXT_PUBLIC_BASE_URL,
+      groups,
+    },
   };
 }
 
-export default function ManageLink({ BASE_URL, username, link, groups }) {
+export default function ManageLink({
+  BASE_URL,
+  username,
+  link,
+  profileUtm,
+  groups,
+}) {
   const [open, setOpen] = useState(false);
   const [showNotification, setShowNotification] = useState({
     show: false,
@@ -66,13 +99,54 @@ export default function ManageLink({ BASE_URL, username, link, groups }) {
   const [name, setName] = useState(link.name || "");
   const [url, setUrl] = useState(link.url || "");
   const [icon, setIcon] = useState(link.icon || "");
+  const [slug, setSlug] = useState(link.slug || "");
+  const [variants, setVariants] = useState(link.variants || []);
   const [isEnabled, setIsEnabled] = useState(link.isEnabled ? true : false);
   const [isPinned, setIsPinned] = useState(link.isPinned ? true : false);
   const [animation, setAnimation] = useState(
     link.animation || Object.keys(config.animations)[0],
   );
+  const [startsAt, setStartsAt] = useState("");
+  const [endsAt, setEndsAt] = useState("");
+  const [utmMode, setUtmMode] = useState(link.utm?.mode || "profile");
+  const [utmSource, setUtmSource] = useState(link.utm?.source || "");
+  const [utmMedium, setUtmMedium] = useState(link.utm?.medium || "");
+  const [utmCampaign, setUtmCampaign] = useState(link.utm?.campaign || "");
   const [isDisabled, setIsDisabled] = useState(false);
 
+  const utm = {
+    mode: utmMode,
+    source: utmSource.trim(),
+    medium: utmMedium.trim(),
+    campaign: utmCampaign.trim(),
+  };
+  const taggedUrl = getTaggedUrl(
+    { url, username, group, name, utm },
+    profileUtm,
+  );
+
+  const formatLocalDate = (inputDate) => {
+    const d = new Date(inputDate);
+    const year = d.getFullYear();
+    const month = ("0" + (d.getMonth() + 1)).slice(-2);
+    const day = ("0" + d.getDate()).slice(-2);
+    const date = `${year}-${month}-${day}`;
+    const time = d.toTimeString().split(":");
+
+    return `${date}T${time[0]}:${time[1]}`;
+  };
+
+  useEffect(() => {
+    if (link.startsAt) {
+      setStartsAt(formatLocalDate(link.startsAt));
+    }
+    if (link.endsAt) {
+      setEndsAt(formatLocalDate(link.endsAt));
+    }
+  }, [link]);
+
+  const submitDate = (date) => (date ? new Date(date).toISOString() : null);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsDisabled(true);
@@ -84,9 +158,14 @@ export default function ManageLink({ BASE_URL, username, link, groups }) {
       name,
       url,
       icon: selectedIcon,
+      slug: formatSlug(slug),
+      variants: variants.map((variant) => variant.trim()).filter(Boolean),
       isEnabled,
       isPinned,
       animation,
+      startsAt: submitDate(startsAt),
+      endsAt: submitDate(endsAt),
+      utm,
     };
 
     let alert = "created";
@@ -123,6 +202,12 @@ export default function ManageLink({ BASE_URL, username, link, groups }) {
     Router.push(`${BASE_URL}/account/manage/links?alert=${alert}`);
   };
 
+  const setVariant = (index, value) => {
+    const updated = [...variants];
+    updated[index] = value;
+    setVariants(updated);
+  };
+
   const deleteItem = async () => {
     const res = await fetch(`${BASE_URL}/api/account/manage/link/${link._id}`, {
       method: "DELETE",
@@ -231,6 +316,54 @@ export default function ManageLink({ BASE_URL, username, link, groups }) {
                       For example: <i>Follow me on Twitter</i>
                     </p>
                   </div>
+                  <div className="mt-1 sm:col-span-2 sm:mt-0">
+                    {[...variants, ""]
+                      .slice(0, maxVariants)
+                      .map((variant, index) => (
+                        <Input
+                          key={index}
+                          name={`variant-${index}`}
+                          label={`Alternate name ${index + 1}`}
+                          onChange={(e) => setVariant(index, e.target.value)}
+                          value={variant}
+                          maxLength="128"
+                        />
+                      ))}
+                    <p className="text-sm text-primary-low-medium">
+                      Visitors see one of the names, compare their clicks in{" "}
+                      {link._id ? (
+                        <Link href={`/account/statistics/link/${link._id}`}>
+                          the link statistics
+                        </Link>
+                      ) : (
+                        "the link statistics"
+                      )}{" "}
+                      (optional)
+                    </p>
+                  </div>
+                  <div className="mt-1 sm:col-span-2 sm:mt-0">
+                    <Input
+                      name="slug"
+                      label="Short alias"
+                      onChange={(e) => setSlug(e.target.value)}
+                      value={slug}
+                      pattern="[a-zA-Z0-9]+(-[a-zA-Z0-9]+)*"
+                      maxLength={maxSlugLength}
+                      title="Letters, numbers and dashes only"
+                    />
+                    {formatSlug(slug) ? (
+                      <ClipboardCopy>
+                        <p className="text-sm break-all border p-3 pr-24 rounded-md dark:text-primary-low">
+                          {`${BASE_URL}/${username}/go/${formatSlug(slug)}`}
+                        </p>
+                      </ClipboardCopy>
+                    ) : (
+                      <p className="text-sm text-primary-low-medium">
+                        A short URL to share this link, for example{" "}
+                        <i>slides</i> (optional)
+                      </p>
+                    )}
+                  </div>
                   <div className="relative mt-1 sm:col-span-2 sm:mt-0">
                     <IconSearch
                       handleSelectedIcon={setIcon}
@@ -268,6 +401,90 @@ export default function ManageLink({ BASE_URL, username, link, groups }) {
                       setEnabled={setIsPinned}
                     />
                   </div>
+                  <div className="mt-1 sm:col-span-2 sm:mt-0">
+                    <Input
+                      type="datetime-local"
+                      name="starts-at"
+                      label="Show from"
+                      onChange={(e) => setStartsAt(e.target.value)}
+                      value={startsAt}
+                      max={endsAt}
+                    />
+                  </div>
+                  <div className="mt-1 sm:col-span-2 sm:mt-0">
+                    <Input
+                      type="datetime-local"
+                      name="ends-at"
+                      label="Show until"
+                      onChange={(e) => setEndsAt(e.target.value)}
+                      value={endsAt}
+                      min={startsAt}
+                    />
+                    <p className="text-sm text-primary-low-medium">
+                      Leave empty to always show the link, expired links are
+                      hidden from your profile (optional)
+                    </p>
+                  </div>
+                  <div className="mt-1 sm:col-span-2 sm:mt-0">
+                    <Select
+                      name="utm-mode"
+                      label="UTM tags"
+                      value={utmMode}
+                      options={utmModes}
+                      onChange={(e) => setUtmMode(e.target.value)}
+                    />
+                    {utmMode === "profile" && !profileUtm?.isEnabled && (
+                      <p className="text-sm text-primary-low-medium">
+                        UTM tags are turned off in your{" "}
+                        <Link href="/account/manage/profile">profile</Link>{" "}
+                        settings
+                      </p>
+                    )}
+                  </div>
+                  {utmMode === "custom" && (
+                    <div className="mt-1 sm:col-span-2 sm:mt-0">
+                      <Input
+                        name="utm-source"
+                        label="utm_source"
+                        value={utmSource}
+                        placeholder={profileUtm?.source || defaultUtm.source}
+                        onChange={(e) => setUtmSource(e.target.value)}
+                        maxLength="64"
+                      />
+                      <Input
+                        name="utm-medium"
+                        label="utm_medium"
+                        value={utmMedium}
+                        placeholder={profileUtm?.medium || defaultUtm.medium}
+                        onChange={(e) => setUtmMedium(e.target.value)}
+                        maxLength="64"
+                      />
+                      <Input
+                        name="utm-campaign"
+                        label="utm_campaign"
+                        value={utmCampaign}
+                        placeholder={
+                          profileUtm?.campaign || defaultUtm.campaign
+                        }
+                        onChange={(e) => setUtmCampaign(e.target.value)}
+                        maxLength="64"
+                      />
+                      <p className="text-sm text-primary-low-medium">
+                        Empty fields use the values shown, you can use{" "}
+                        {utmVariables.map((key) => `{${key}}`).join(", ")}
+                      </p>
+                    </div>
+                  )}
+                  {taggedUrl && (
+                    <div className="mt-1 sm:col-span-2 sm:mt-0">
+                      <p className="text-sm text-primary-low-medium">
+                        Visitors are sent to:
+                      </p>
+                      <p className="text-sm break-all text-primary-high dark:text-primary-low">
+                        {taggedUrl}
+                      </p>
+                    </div>
+                  )}
                 </div>
 
                 <div className="mt-6 flex items-center justify-end gap-x-6">
@@ -42,6 +42,12 @@ export default function ManageLinks({ BASE_URL, username, links }) {
   const [linkListPrevious, setLinkListPrevious] = useState(links || []);
 
   const { alert } = router.query;
+  const brokenLinks = linkList.filter(
+    (link) => link.health?.failures > 0,
+  ).length;
+  const reviewLinks = linkList.filter(
+    (link) => link.safety?.status === "quarantined",
+  ).length;
 
   const alerts = {
     deleted: {
@@ -129,6 +135,20 @@ export default function ManageLinks({ BASE_URL, username, links }) {
 
         {!linkList.length && <Alert type="info" message="No Links found" />}
 
+        {reviewLinks > 0 && (
+          <Alert
+            type="info"
+            message={`${reviewLinks} of your links will be shown on your profile once our moderators have checked them, they are marked as "In review" below`}
+          />
+        )}
+
+        {brokenLinks > 0 && (
+          <Alert
+            type="warning"
+            message={`${brokenLinks} of your links could not be opened when they were last checked, they are marked as "Broken" below`}
+          />
+        )}
+
         <ReactSortable
           list={linkList}
           setList={setLinkList}
@@ -13,6 +13,7 @@ import Page from "@components/Page";
 import Alert from "@components/Alert";
 import Navigation from "@components/account/manage/Navigation";
 import { getUserApi } from "pages/api/profiles/[username]";
+import { getProfileApi } from "pages/api/account/manage/profile";
 import UserProfile from "@components/user/UserProfile";
 import Input from "@components/form/Input";
 import Select from "@components/form/Select";
@@ -21,7 +22,9 @@ import Notification from "@components/Notification";
 import { PROJECT_NAME } from "@constants/index";
 import Textarea from "@components/form/Textarea";
 import Toggle from "@components/form/Toggle";
+import Link from "@components/Link";
 import TagsInput from "@components/tag/TagsInput";
+import { defaultUtm, utmVariables } from "@services/utils/link/utm";
 
 export async function getServerSideProps(context) {
   const session = await getServerSession(context.req, context.res, authOptions);
@@ -38,6 +41,15 @@ export async function getServerSideProps(context) {
     profile.name = session.user.name;
   }
 
+  // email and link preferences are not part of the public profile
+  try {
+    const { digest, utm } = await getProfileApi(username);
+    profile.digest = digest || null;
+    profile.utm = utm || null;
+  } catch (e) {
+    logger.error(e, `profile settings failed for username: ${username}`);
+  }
+
   const filePath = path.join(process.cwd(), "data", username);
   let fileExists;
   try {
@@ -65,6 +77,15 @@ export default function Profile({ BASE_URL, profile, fileExists }) {
   const [isStatsPublic, setIsStatsPublic] = useState(
     profile.isStatsPublic ? true : false,
   );
+  const [isDigestEnabled, setIsDigestEnabled] = useState(
+    profile.digest?.isEnabled ? true : false,
+  );
+  const [isUtmEnabled, setIsUtmEnabled] = useState(
+    profile.utm?.isEnabled ? true : false,
+  );
+  const [utmSource, setUtmSource] = useState(profile.utm?.source || "");
+  const [utmMedium, setUtmMedium] = useState(profile.utm?.medium || "");
+  const [utmCampaign, setUtmCampaign] = useState(profile.utm?.campaign || "");
   const [bio, setBio] = useState(
     profile.bio || "Have a look at my links below...",
   );
@@ -101,7 +122,21 @@ export default function Profile({ BASE_URL, profile, fileExists }) {
       headers: {
         "Content-Type": "application/json",
       },
-      body: JSON.stringify({ name, bio, tags, layout, pronoun, isStatsPublic }),
+      body: JSON.stringify({
+        name,
+        bio,
+        tags,
+        layout,
+        pronoun,
+        isStatsPublic,
+        isDigestEnabled,
+        utm: {
+          isEnabled: isUtmEnabled,
+          source: utmSource.trim(),
+          medium: utmMedium.trim(),
+          campaign: utmCampaign.trim(),
+        },
+      }),
     });
     const update = await res.json();
     setIsDisabled(false);
@@ -266,14 +301,74 @@ export default function Profile({ BASE_URL, profile, fileExists }) {
                   <div className="mt-3">
                     <Toggle
                       text1="Make Profile Statistics public?"
+                      text2="views, top links and locations, never referers"
                       enabled={isStatsPublic}
                       setEnabled={setIsStatsPublic}
                     />
+                    {profile.isStatsPublic && (
+                      <p className="mt-1 text-sm text-primary-medium-low dark:text-primary-low-high">
+                        Your public statistics are at{" "}
+                        <Link href={`/${profile.username}/stats`}>
+                          {`${BASE_URL}/${profile.username}/stats`}
+                        </Link>
+                      </p>
+                    )}
+                  </div>
+                  <div className="mt-3">
+                    <Toggle
+                      text1="Weekly statistics email?"
+                      text2="views, clicks, top link and rank, sent on Mondays"
+                      enabled={isDigestEnabled}
+                      setEnabled={setIsDigestEnabled}
+                    />
+                  </div>
+                  <div className="mt-3">
+                    <Toggle
+                      text1="Add UTM tags to your links?"
+                      text2="so the websites you link to can see the visits came from your profile"
+                      enabled={isUtmEnabled}
+                      setEnabled={setIsUtmEnabled}
+                    />
                   </div>
+                  {isUtmEnabled && (
+                    <div className="mt-3 grid grid-cols-3 gap-x-4">
+                      <Input
+                        name="utm-source"
+                        label="utm_source"
+                        value={utmSource}
+                        placeholder={defaultUtm.source}
+                        onChange={(e) => setUtmSource(e.target.value)}
+                        maxLength="64"
+                      />
+                      <Input
+                        name="utm-medium"
+                        label="utm_medium"
+                        value={utmMedium}
+                        placeholder={defaultUtm.medium}
+                        onChange={(e) => setUtmMedium(e.target.value)}
+                        maxLength="64"
+                      />
+                      <Input
+                        name="utm-campaign"
+                        label="utm_campaign"
+                        value={utmCampaign}
+                        placeholder={defaultUtm.campaign}
+                        onChange={(e) => setUtmCampaign(e.target.value)}
+                        maxLength="64"
+                      />
+                      <p className="col-span-3 text-sm text-primary-medium-low dark:text-primary-low-high">
+                        Empty fields use the values shown, you can use{" "}
+                        {utmVariables.map((key) => `{${key}}`).join(", ")}.
+                        Links can override these when editing them.
+                      </p>
+                    </div>
+                  )}
                 </section>
 
                 <div className="mt-10 border-t border-primary-low-medium/30 pt-6 sm:flex sm:items-center sm:justify-between">
-                  <Button primary={true} disabled={isDisabled}>SAVE</Button>
+                  <Button primary={true} disabled={isDisabled}>
+                    SAVE
+                  </Button>
                 </div>
               </div>
             </form>
@@ -0,0 +1,145 @@
+import { authOptions } from "../../api/auth/[...nextauth]";
+import { getServerSession } from "next-auth/next";
+import dynamic from "next/dynamic";
+
+import { getUserApi } from "../../api/profiles/[username]";
+import { getFunnelStats } from "../../api/account/statistics/funnel";
+import logger from "@config/logger";
+import Alert from "@components/Alert";
+import Page from "@components/Page";
+import PageHead from "@components/PageHead";
+import Navigation from "@components/account/manage/Navigation";
+import { PROJECT_NAME } from "@constants/index";
+import BasicCards from "@components/statistics/BasicCards";
+import FunnelTable from "@components/statistics/FunnelTable";
+import RangeSelector from "@components/statistics/RangeSelector";
+import {
+  defaultRangeDays,
+  lastDays,
+  parseStatsRange,
+} from "@services/stats/range";
+
+const DynamicChart = dynamic(
+  () => import("../../../components/statistics/BarGraph"),
+  { ssr: false },
+);
+
+export async function getServerSideProps(context) {
+  const { req, res } = context;
+  const session = await getServerSession(req, res, authOptions);
+
+  const username = session.username;
+  const { status, profile } = await getUserApi(req, res, username);
+  if (status !== 200) {
+    logger.error(
+      profile.error,
+      `profile loading failed for username: ${username}`,
+    );
+
+    return {
+      redirect: {
+        destination: "/account/no-profile",
+        permanent: false,
+      },
+    };
+  }
+
+  let range = parseStatsRange(context.query);
+  let rangeError = null;
+  if (range.error) {
+    rangeError = range.error;
+    range = lastDays(defaultRangeDays);
+  }
+
+  const data = await getFunnelStats(username, range);
+  if (data.error) {
+    logger.error(data.error, `funnel stats failed for username: ${username}`);
+  }
+
+  return {
+    props: {
+      data: data.error ? { range: JSON.parse(JSON.stringify(range)) } : data,
+      rangeError: rangeError || data.error || null,
+    },
+  };
+}
+
+export default function Funnel({ data, rangeError }) {
+  return (
+    <>
+      <PageHead
+        title={PROJECT_NAME + " Statistics"}
+        description="Private statistics for your account"
+      />
+
+      <Page>
+        <Navigation />
+
+        {rangeError && <Alert type="error" message={rangeError} />}
+
+        <div className="mb-6">
+          <RangeSelector range={data.range} />
+        </div>
+
+        {!data.total?.views && (
+          <Alert
+            type="warning"
+            message="You don't have any profile views in this period yet."
+          />
+        )}
+
+        {data.total?.views > 0 && (
+          <>
+            <BasicCards
+              data={[
+                { name: "Profile views", current: data.total.views },
+                { name: "Link clicks", current: data.total.clicks },
+                {
+                  name: "Click-through rate (%)",
+                  current: data.total.ctr,
+                },
+              ]}
+            />
+
+            <div className="border my-6 dark:border-primary-medium">
+              <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+                <h3 className="text-lg font-medium leading-6 text-primary-high">
+                  Click-through rate
+                </h3>
+                <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+                  Percentage of profile views per day that led to a link click
+                </p>
+              </div>
+              <DynamicChart data={data.daily} dataKey="ctr" />
+            </div>
+
+            <div className="border mb-6 dark:border-primary-medium">
+              <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+                <h3 className="text-lg font-medium leading-6 text-primary-high">
+                  Sources
+                </h3>
+                <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+                  Where the profile visits that led to link clicks came from,
+                  &quot;-&quot; are clicks without a known visit
+                </p>
+              </div>
+              <FunnelTable data={data.sources} name="Source" />
+            </div>
+
+            <div className="border mb-6 dark:border-primary-medium">
+              <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+                <h3 className="text-lg font-medium leading-6 text-primary-high">
+                  Links
+                </h3>
+                <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+                  Clicks on each link compared to all profile views
+                </p>
+              </div>
+              <FunnelTable data={data.links} name="Link" showViews={false} />
+            </div>
+          </>
+        )}
+      </Page>
+    </>
+  );
+}
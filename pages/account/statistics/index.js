@@ -12,16 +12,38 @@ import Alert from "@components/Alert";
 import Page from "@components/Page";
 import PageHead from "@components/PageHead";
 import { abbreviateNumber } from "@services/utils/abbreviateNumbers";
+import dateFormat from "@services/utils/dateFormat";
 import Navigation from "@components/account/manage/Navigation";
 import UserMini from "@components/user/UserMini";
 import { PROJECT_NAME } from "@constants/index";
 import Link from "@components/Link";
+import BasicCards from "@components/statistics/BasicCards";
+import ComparisonTable from "@components/statistics/ComparisonTable";
+import RangeSelector from "@components/statistics/RangeSelector";
+import ExportButtons from "@components/statistics/ExportButtons";
+import {
+  clickThroughRate,
+  defaultRangeDays,
+  formatDay,
+  lastDays,
+  parseStatsRange,
+} from "@services/stats/range";
 
 const DynamicChart = dynamic(
   () => import("../../../components/statistics/BarGraph"),
   { ssr: false },
 );
 
+const DynamicLivePanel = dynamic(
+  () => import("../../../components/statistics/LivePanel"),
+  { ssr: false },
+);
+
+const DynamicHeatmap = dynamic(
+  () => import("../../../components/statistics/Heatmap"),
+  { ssr: false },
+);
+
 export async function getServerSideProps(context) {
   const { req, res } = context;
   const session = await getServerSession(req, res, authOptions);
@@ -42,10 +64,17 @@ export async function getServerSideProps(context) {
     };
   }
 
+  let range = parseStatsRange(context.query);
+  let rangeError = null;
+  if (range.error) {
+    rangeError = range.error;
+    range = lastDays(defaultRangeDays);
+  }
+
   let data = {};
 
   try {
-    data = await getStats(username);
+    data = await getStats(username, range);
   } catch (e) {
     logger.error(e, "ERROR get user's account statistics");
   }
@@ -62,6 +91,7 @@ export async function getServerSideProps(context) {
   data.profile.daily = data.profile.daily.map((day) => {
     return {
       views: day.views,
+      visitors: day.visitors || 0,
       date: day.date,
     };
   });
@@ -70,12 +100,23 @@ export async function getServerSideProps(context) {
     props: {
       data,
       profile,
+      rangeError,
       BASE_URL: clientEnv.NEXT_PUBLIC_BASE_URL,
     },
   };
 }
 
-export default function Statistics({ data, profile, BASE_URL }) {
+export default function Statistics({ data, profile, rangeError, BASE_URL }) {
+  const period = data.range.custom
+    ? [data.range.from, data.range.to]
+        .map((date) => dateFormat({ format: "short", date }))
+        .join(" - ")
+    : `last ${data.range.days} days`;
+  const { comparison } = data;
+  const rangeQuery = data.range.custom
+    ? { from: formatDay(data.range.from), to: formatDay(data.range.to) }
+    : { days: data.range.days };
+
   const { data: session } = useSession();
   return (
     <>
@@ -92,7 +133,8 @@ export default function Statistics({ data, profile, BASE_URL }) {
           username={profile.username}
           name={profile.name}
           bio={profile.bio}
-          monthly={data.profile.monthly}
+          monthly={data.profile.views}
+          period={period}
           total={data.profile.total}
           clicks={data.links.clicks}
           rank={data.profile.rank}
@@ -102,6 +144,65 @@ export default function Statistics({ data, profile, BASE_URL }) {
           <Alert type="warning" message="You don't have a profile yet." />
         )}
 
+        {rangeError && <Alert type="error" message={rangeError} />}
+
+        <div className="mb-6">
+          <RangeSelector range={data.range} />
+          <BasicCards
+            data={[
+              {
+                name: `Profile views (${period})`,
+                current: comparison.views.current,
+                delta: comparison.views.delta,
+                deltaSuffix: "%",
+              },
+              {
+                name: `Unique visitors (${period})`,
+                current: comparison.visitors.current,
+                delta: comparison.visitors.delta,
+                deltaSuffix: "%",
+              },
+              {
+                name: `Link clicks (${period})`,
+                current: comparison.clicks.current,
+                delta: comparison.clicks.delta,
+                deltaSuffix: "%",
+              },
+              {
+                name: `Click-through rate % (${period})`,
+                current: clickThroughRate(
+                  comparison.clicks.current,
+                  comparison.views.current,
+                ),
+              },
+            ]}
+          />
+          <p className="mt-2 text-sm text-primary-medium dark:text-primary-medium-low">
+            Changes are compared to the previous {comparison.previous.days}{" "}
+            days, see which sources and links{" "}
+            <Link
+              href={{
+                pathname: "/account/statistics/funnel",
+                query: rangeQuery,
+              }}
+            >
+              lead to clicks
+            </Link>
+          </p>
+        </div>
+
+        <div className="border mb-6 dark:border-primary-medium">
+          <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+            <h3 className="text-lg font-medium leading-6 text-primary-high">
+              Live
+            </h3>
+            <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+              Profile views and link clicks as they happen, eg. during a talk
+            </p>
+          </div>
+          <DynamicLivePanel BASE_URL={BASE_URL} />
+        </div>
+
         {data.profile.daily.length > 0 && (
           <div className="border mb-6 dark:border-primary-medium">
             <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
@@ -109,10 +210,31 @@ export default function Statistics({ data, profile, BASE_URL }) {
                 Profile views
               </h3>
               <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
-                Number of Profile visits per day for the last 30 days
+                Number of Profile visits per day ({period})
               </p>
             </div>
             <DynamicChart data={data.profile.daily} />
+            <div className="px-4 sm:px-6">
+              <ExportButtons
+                BASE_URL={BASE_URL}
+                type="profile"
+                query={rangeQuery}
+              />
+            </div>
+          </div>
+        )}
+
+        {data.hourly?.length > 0 && (
+          <div className="border mb-6 dark:border-primary-medium">
+            <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+              <h3 className="text-lg font-medium leading-6 text-primary-high">
+                When your audience is active
+              </h3>
+              <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+                Traffic by day of the week and hour of the day ({period})
+              </p>
+            </div>
+            <DynamicHeatmap data={data.hourly} />
           </div>
         )}
 
@@ -186,6 +308,20 @@ export default function Statistics({ data, profile, BASE_URL }) {
           </ul>
         )}
 
+        {(comparison.referers.length > 0 ||
+          comparison.countries.length > 0) && (
+          <div className="grid grid-cols-1 gap-x-6 gap-y-8 lg:grid-cols-2 xl:gap-x-8 mb-8">
+            {comparison.referers.length > 0 && (
+              <ComparisonTable data={comparison.referers} name="Referers" />
+            )}
+            {comparison.countries.length > 0 && (
+              <ComparisonTable data={comparison.countries} name="Locations" />
+            )}
+          </div>
+        )}
+
+        <ExportButtons BASE_URL={BASE_URL} type="links" query={rangeQuery} />
+
         <table className="min-w-full divide-y divide-primary-medium-low">
           <thead className="bg-primary-low dark:bg-primary-medium">
             <tr>
@@ -1,8 +1,11 @@
 import { authOptions } from "../../../api/auth/[...nextauth]";
 import { getServerSession } from "next-auth/next";
 import dynamic from "next/dynamic";
+import Router from "next/router";
+import { useState } from "react";
 
 import { getUserApi } from "../../../api/profiles/[username]";
+import { clientEnv } from "@config/schemas/clientSchema";
 import logger from "@config/logger";
 import Page from "@components/Page";
 import PageHead from "@components/PageHead";
@@ -10,12 +13,38 @@ import Navigation from "@components/account/manage/Navigation";
 import { PROJECT_NAME } from "@constants/index";
 import { getStatsForLink } from "pages/api/account/statistics/link/[id]";
 import Alert from "@components/Alert";
+import BreakdownTable from "@components/statistics/BreakdownTable";
+import VariantTable from "@components/statistics/VariantTable";
+import Notification from "@components/Notification";
 
 const DynamicChart = dynamic(
   () => import("../../../../components/statistics/BarGraph"),
   { ssr: false },
 );
 
+const DynamicPieChart = dynamic(
+  () => import("../../../../components/statistics/PieGraph"),
+  { ssr: false },
+);
+
+const breakdowns = [
+  {
+    key: "countries",
+    name: "Location",
+    description: "Countries the clicks came from",
+  },
+  {
+    key: "referers",
+    name: "Referers",
+    description: "Websites the clicks came from",
+  },
+  {
+    key: "devices",
+    name: "Devices",
+    description: "Type of device used to click the link",
+  },
+];
+
 export async function getServerSideProps(context) {
   const { req, res } = context;
   const session = await getServerSession(req, res, authOptions);
@@ -47,11 +76,47 @@ export async function getServerSideProps(context) {
     props: {
       data,
       profile,
+      BASE_URL: clientEnv.NEXT_PUBLIC_BASE_URL,
     },
   };
 }
 
-export default function Statistics({ data }) {
+export default function Statistics({ data, BASE_URL }) {
+  const [isDisabled, setIsDisabled] = useState(false);
+  const [showNotification, setShowNotification] = useState({
+    show: false,
+    type: "",
+    message: "",
+    additionalMessage: "",
+  });
+
+  const promote = async (name) => {
+    setIsDisabled(true);
+    const res = await fetch(
+      `${BASE_URL}/api/account/manage/link/${data._id}/promote`,
+      {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ name }),
+      },
+    );
+    const update = await res.json();
+    setIsDisabled(false);
+
+    if (update.message) {
+      return setShowNotification({
+        show: true,
+        type: "error",
+        message: "Link update failed",
+        additionalMessage: Object.values(update.message).join(", "),
+      });
+    }
+
+    return Router.replace(Router.asPath);
+  };
+
   return (
     <>
       <PageHead
@@ -62,6 +127,16 @@ export default function Statistics({ data }) {
       <Page>
         <Navigation />
 
+        <Notification
+          show={showNotification.show}
+          type={showNotification.type}
+          onClose={() =>
+            setShowNotification({ ...showNotification, show: false })
+          }
+          message={showNotification.message}
+          additionalMessage={showNotification.additionalMessage}
+        />
+
         {data.stats.length === 0 && (
           <Alert type="info" message={`No data for "${data.url}"`} />
         )}
@@ -80,6 +155,49 @@ export default function Statistics({ data }) {
             <DynamicChart data={data.stats} dataKey="clicks" />
           </div>
         )}
+
+        {data.variants?.length > 0 && (
+          <div className="border mb-6 dark:border-primary-medium">
+            <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+              <h3 className="text-lg font-medium leading-6 text-primary-high">
+                Name test
+              </h3>
+              <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+                Click-through rate of each name for the last 30 days, using a
+                name ends the test
+              </p>
+            </div>
+            <VariantTable
+              data={data.variants}
+              onPromote={promote}
+              isDisabled={isDisabled}
+            />
+          </div>
+        )}
+
+        {breakdowns.map(
+          (breakdown) =>
+            data[breakdown.key]?.length > 0 && (
+              <div
+                key={breakdown.key}
+                className="border mb-6 dark:border-primary-medium"
+              >
+                <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+                  <h3 className="text-lg font-medium leading-6 text-primary-high">
+                    {breakdown.name}
+                  </h3>
+                  <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+                    {breakdown.description} for the last 30 days
+                  </p>
+                </div>
+                <DynamicPieChart data={data[breakdown.key]} />
+                <BreakdownTable
+                  data={data[breakdown.key]}
+                  name={breakdown.name}
+                />
+              </div>
+            ),
+        )}
       </Page>
     </>
   );
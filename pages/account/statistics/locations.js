@@ -3,6 +3,7 @@ import { getServerSession } from "next-auth/next";
 import dynamic from "next/dynamic";
 
 import { getUserApi } from "../../api/profiles/[username]";
+import { clientEnv } from "@config/schemas/clientSchema";
 import logger from "@config/logger";
 import Alert from "@components/Alert";
 import Page from "@components/Page";
@@ -10,6 +11,7 @@ import PageHead from "@components/PageHead";
 import { abbreviateNumber } from "@services/utils/abbreviateNumbers";
 import Navigation from "@components/account/manage/Navigation";
 import { PROJECT_NAME } from "@constants/index";
+import ExportButtons from "@components/statistics/ExportButtons";
 
 const DynamicChart = dynamic(
   () => import("../../../components/statistics/PieGraph"),
@@ -49,11 +51,12 @@ export async function getServerSideProps(context) {
   return {
     props: {
       stats,
+      BASE_URL: clientEnv.NEXT_PUBLIC_BASE_URL,
     },
   };
 }
 
-export default function Locations({ stats }) {
+export default function Locations({ stats, BASE_URL }) {
   return (
     <>
       <PageHead
@@ -73,6 +76,14 @@ export default function Locations({ stats }) {
 
         {stats.length > 0 && <DynamicChart data={stats} />}
 
+        {stats.length > 0 && (
+          <ExportButtons
+            BASE_URL={BASE_URL}
+            type="profile"
+            query={{ days: 365 }}
+          />
+        )}
+
         <table className="min-w-full divide-y divide-primary-medium-low">
           <thead className="bg-primary-low dark:bg-primary-medium">
             <tr>
@@ -3,6 +3,7 @@ import { getServerSession } from "next-auth/next";
 import dynamic from "next/dynamic";
 
 import { getUserApi } from "../../api/profiles/[username]";
+import { clientEnv } from "@config/schemas/clientSchema";
 import logger from "@config/logger";
 import Alert from "@components/Alert";
 import Page from "@components/Page";
@@ -10,6 +11,44 @@ import PageHead from "@components/PageHead";
 import { abbreviateNumber } from "@services/utils/abbreviateNumbers";
 import Navigation from "@components/account/manage/Navigation";
 import { PROJECT_NAME } from "@constants/index";
+import ExportButtons from "@components/statistics/ExportButtons";
+import BreakdownTable from "@components/statistics/BreakdownTable";
+import RangeSelector from "@components/statistics/RangeSelector";
+import { getRefererStats } from "pages/api/account/statistics/referers";
+import {
+  defaultRangeDays,
+  lastDays,
+  parseStatsRange,
+} from "@services/stats/range";
+import { channels } from "@services/stats/referers";
+
+const breakdowns = [
+  {
+    key: "channels",
+    name: "Channels",
+    description: "Type of website the visits came from",
+  },
+  {
+    key: "sources",
+    name: "Sources",
+    description: "Websites the visits came from, grouped by site",
+  },
+  {
+    key: "utmSources",
+    name: "Campaign sources",
+    description: "The utm_source of links to your profile",
+  },
+  {
+    key: "utmCampaigns",
+    name: "Campaigns",
+    description: "The utm_campaign of links to your profile",
+  },
+  {
+    key: "refs",
+    name: "Refs",
+    description: "The ref of links to your profile, eg. ?ref=cv",
+  },
+];
 
 const DynamicChart = dynamic(
   () => import("../../../components/statistics/PieGraph"),
@@ -46,14 +85,34 @@ export async function getServerSideProps(context) {
       .sort((a, b) => b.value - a.value);
   }
 
+  let range = parseStatsRange(context.query);
+  let rangeError = null;
+  if (range.error) {
+    rangeError = range.error;
+    range = lastDays(defaultRangeDays);
+  }
+
+  let data = await getRefererStats(username, range);
+  if (data.error) {
+    rangeError = data.error;
+    data = { range };
+  }
+  data.channels = data.channels?.map((channel) => ({
+    ...channel,
+    name: channels[channel.name] || channel.name,
+  }));
+
   return {
     props: {
       stats,
+      data: JSON.parse(JSON.stringify(data)),
+      rangeError,
+      BASE_URL: clientEnv.NEXT_PUBLIC_BASE_URL,
     },
   };
 }
 
-export default function Locations({ stats }) {
+export default function Referers({ stats, data, rangeError, BASE_URL }) {
   return (
     <>
       <PageHead
@@ -64,6 +123,41 @@ export default function Locations({ stats }) {
       <Page>
         <Navigation />
 
+        {rangeError && <Alert type="error" message={rangeError} />}
+
+        <div className="mb-6">
+          <RangeSelector range={data.range} />
+        </div>
+
+        {breakdowns.map(
+          (breakdown) =>
+            data[breakdown.key]?.length > 0 && (
+              <div
+                key={breakdown.key}
+                className="border mb-6 dark:border-primary-medium"
+              >
+                <div className="border-b border-primary-low bg-white dark:bg-primary-high dark:border-primary-medium px-4 py-5 mb-2 sm:px-6">
+                  <h3 className="text-lg font-medium leading-6 text-primary-high">
+                    {breakdown.name}
+                  </h3>
+                  <p className="mt-1 text-sm text-primary-medium dark:text-primary-medium-low">
+                    {breakdown.description}
+                  </p>
+                </div>
+                {breakdown.key === "channels" && (
+                  <DynamicChart data={data[breakdown.key]} />
+                )}
+                <BreakdownTable
+                  data={data[breakdown.key]}
+                  name={breakdown.name}
+                  valueName="Visits"
+                />
+              </div>
+            ),
+        )}
+
+        <h2 className="text-2xl mt-8 mb-4 font-bold">All referers</h2>
+
         {!stats.length && (
           <Alert
             type="warning"
@@ -73,6 +167,14 @@ export default function Locations({ stats }) {
 
         {stats.length > 0 && <DynamicChart data={stats} />}
 
+        {stats.length > 0 && (
+          <ExportButtons
+            BASE_URL={BASE_URL}
+            type="profile"
+            query={{ days: 365 }}
+          />
+        )}
+
         <table className="min-w-full divide-y divide-primary-medium-low">
           <thead className="bg-primary-low dark:bg-primary-medium">
             <tr>
@@ -7,8 +7,15 @@ import { PROJECT_NAME } from "@constants/index";
 import { getChangelogs } from "pages/api/admin/changelog";
 import dateFormat from "@services/utils/dateFormat";
 import Button from "@components/Button";
+import authorize from "@services/auth/authorize";
+import { adminAccess } from "@services/auth/roles";
 
 export async function getServerSideProps(context) {
+  const auth = await authorize(context.req, context.res, adminAccess.changelog);
+  if (auth.error) {
+    return { redirect: auth.redirect };
+  }
+
   let data = [];
   const { filter } = context.query;
   try {
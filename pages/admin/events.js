@@ -1,6 +1,4 @@
 import { useState } from "react";
-import { authOptions } from "../api/auth/[...nextauth]";
-import { getServerSession } from "next-auth/next";
 import { clientEnv } from "@config/schemas/clientSchema";
 
 import logger from "@config/logger";
@@ -13,10 +11,16 @@ import Toggle from "@components/form/Toggle";
 import Notification from "@components/Notification";
 import { PROJECT_NAME } from "@constants/index";
 import Bulb from "@components/Bulb";
+import authorize from "@services/auth/authorize";
+import { adminAccess } from "@services/auth/roles";
 
 export async function getServerSideProps(context) {
-  const session = await getServerSession(context.req, context.res, authOptions);
-  const username = session.username;
+  const auth = await authorize(context.req, context.res, adminAccess.events);
+  if (auth.error) {
+    return { redirect: auth.redirect };
+  }
+
+  const username = auth.session.username;
 
   let events = [];
   try {
@@ -0,0 +1,251 @@
+import { useState } from "react";
+
+import { clientEnv } from "@config/schemas/clientSchema";
+import logger from "@config/logger";
+import Alert from "@components/Alert";
+import Page from "@components/Page";
+import PageHead from "@components/PageHead";
+import Link from "@components/Link";
+
+import Navigation from "@components/admin/Navigation";
+import { PROJECT_NAME } from "@constants/index";
+import { getBrokenLinks, getReviewLinks } from "pages/api/admin/links";
+import Button from "@components/Button";
+import Notification from "@components/Notification";
+import dateFormat from "@services/utils/dateFormat";
+import authorize from "@services/auth/authorize";
+import { adminAccess, hasRole } from "@services/auth/roles";
+
+export async function getServerSideProps(context) {
+  const auth = await authorize(context.req, context.res, adminAccess.links);
+  if (auth.error) {
+    return { redirect: auth.redirect };
+  }
+
+  const filter = context.query.filter === "review" ? "review" : "broken";
+  let data = { checked: 0, broken: 0, links: [] };
+  try {
+    data =
+      filter === "review" ? await getReviewLinks() : await getBrokenLinks();
+  } catch (e) {
+    logger.error(e, `get ${filter} links failed`);
+  }
+
+  return {
+    props: {
+      data,
+      filter,
+      canReview: hasRole(auth.session.roles, adminAccess.linkReview),
+      BASE_URL: clientEnv.NEXT_PUBLIC_BASE_URL,
+    },
+  };
+}
+
+export default function Links({ data, filter, canReview, BASE_URL }) {
+  const [reviewLinks, setReviewLinks] = useState(data.links);
+  const [showNotification, setShowNotification] = useState({
+    show: false,
+    type: "",
+    message: "",
+    additionalMessage: "",
+  });
+
+  const review = async (link, status) => {
+    const res = await fetch(`${BASE_URL}/api/admin/links/${link._id}`, {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ status }),
+    });
+    const update = await res.json();
+
+    if (update.message) {
+      return setShowNotification({
+        show: true,
+        type: "error",
+        message: "Link review failed",
+        additionalMessage: update.message,
+      });
+    }
+
+    setReviewLinks(reviewLinks.filter((item) => item._id !== link._id));
+    return setShowNotification({
+      show: true,
+      type: "success",
+      message: `Link ${status}`,
+      additionalMessage: `${link.url} for ${link.username}`,
+    });
+  };
+
+  const displayStats = [
+    { id: 1, name: "Links checked", value: data.checked },
+    { id: 2, name: "Broken links", value: data.broken },
+  ];
+
+  return (
+    <>
+      <PageHead
+        title={PROJECT_NAME + " admin links"}
+        description={`Overview for ${PROJECT_NAME} admins`}
+      />
+      <Page>
+        <Navigation />
+        <Notification
+          show={showNotification.show}
+          type={showNotification.type}
+          onClose={() =>
+            setShowNotification({ ...showNotification, show: false })
+          }
+          message={showNotification.message}
+          additionalMessage={showNotification.additionalMessage}
+        />
+        <h1 className="text-4xl mb-4 font-bold">Links</h1>
+
+        <div className="flex gap-4 mb-4">
+          <Button href="/admin/links?filter=broken">Broken</Button>
+          <Button href="/admin/links?filter=review">In review</Button>
+        </div>
+
+        {filter === "review" && (
+          <>
+            <p className="text-sm text-primary-medium dark:text-primary-low">
+              Links flagged by the URL safety checks are hidden until they are
+              approved, rejected links are also disabled
+            </p>
+            {!reviewLinks.length && (
+              <Alert type="success" message="No links waiting for review" />
+            )}
+            <ul role="list" className="divide-y divide-primary-low">
+              {reviewLinks.map((link) => (
+                <li
+                  key={link._id}
+                  className="flex justify-between gap-x-6 py-5"
+                >
+                  <div className="min-w-0 text-sm">
+                    <p className="font-semibold">
+                      <Link href={`/${link.username}`}>{link.username}</Link>{" "}
+                      {link.name}
+                    </p>
+                    <p className="break-all text-primary-medium dark:text-primary-low">
+                      {link.url}
+                    </p>
+                    <p className="text-xs text-primary-medium dark:text-primary-low">
+                      {link.safety.reasons.join(", ")}
+                    </p>
+                  </div>
+                  {canReview && (
+                    <div className="flex items-center gap-x-4">
+                      <Button
+                        primary={true}
+                        onClick={() => review(link, "approved")}
+                      >
+                        Approve
+                      </Button>
+                      <Button onClick={() => review(link, "rejected")}>
+                        Reject
+                      </Button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {filter === "broken" && (
+          <>
+            <p className="text-sm text-primary-medium dark:text-primary-low">
+              Links that failed their last check, the streak is the number of
+              checks in a row that failed
+            </p>
+
+            <dl className="mt-8 grid grid-cols-1 gap-0.5 overflow-hidden rounded-2xl text-center sm:grid-cols-2">
+              {displayStats.map((stat) => (
+                <div
+                  key={stat.id}
+                  className="flex flex-col bg-primary-medium/5 dark:bg-primary-low-medium/5 p-8"
+                >
+                  <dt className="text-sm font-semibold leading-6 text-primary-medium dark:text-primary-low">
+                    {stat.name}
+                  </dt>
+                  <dd className="order-first text-3xl font-semibold tracking-tight text-primary-high dark:text-primary-low">
+                    {stat.value}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+
+            {!data.links.length && (
+              <Alert type="success" message="No broken links found" />
+            )}
+
+            {data.links.length > 0 && (
+              <table className="mt-8 min-w-full divide-y divide-primary-medium-low">
+                <thead className="bg-primary-low dark:bg-primary-medium">
+                  <tr>
+                    <th
+                      scope="col"
+                      className="py-3.5 pl-4 pr-3 text-left text-sm font-semibold text-primary-high dark:text-primary-low sm:pl-6"
+                    >
+                      Profile
+                    </th>
+                    <th
+                      scope="col"
+                      className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+                    >
+                      Link
+                    </th>
+                    <th
+                      scope="col"
+                      className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+                    >
+                      Error
+                    </th>
+                    <th
+                      scope="col"
+                      className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+                    >
+                      Streak
+                    </th>
+                    <th
+                      scope="col"
+                      className="px-3 py-3.5 text-left text-sm font-semibold text-primary-high"
+                    >
+                      Last checked
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-primary-low dark:divide-primary-medium bg-white dark:bg-primary-high">
+                  {data.links.map((link) => (
+                    <tr key={link._id}>
+                      <td className="whitespace-nowrap py-4 pl-4 pr-3 text-sm font-medium text-primary-high dark:text-primary-low sm:pl-6">
+                        <Link href={`/${link.username}`}>{link.username}</Link>
+                      </td>
+                      <td className="px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+                        <p>{link.name}</p>
+                        <p className="break-all text-xs">{link.url}</p>
+                      </td>
+                      <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+                        {link.health.error}
+                      </td>
+                      <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+                        {link.health.failures}
+                      </td>
+                      <td className="whitespace-nowrap px-3 py-4 text-sm text-primary-medium dark:text-primary-low">
+                        {dateFormat({
+                          format: "long",
+                          date: link.health.checkedAt,
+                        })}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </Page>
+    </>
+  );
+}
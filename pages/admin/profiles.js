@@ -11,8 +11,15 @@ import Image from "next/image";
 import Link from "@components/Link";
 import { PROJECT_NAME } from "@constants/index";
 import Button from "@components/Button";
+import authorize from "@services/auth/authorize";
+import { adminAccess } from "@services/auth/roles";
 
 export async function getServerSideProps(context) {
+  const auth = await authorize(context.req, context.res, adminAccess.profiles);
+  if (auth.error) {
+    return { redirect: auth.redirect };
+  }
+
   let profiles = [];
   const { filter } = context.query;
   try {
@@ -0,0 +1,163 @@
+import { useState } from "react";
+
+import logger from "@config/logger";
+import Page from "@components/Page";
+import PageHead from "@components/PageHead";
+import { getRolesApi } from "../api/admin/roles";
+
+import Navigation from "@components/admin/Navigation";
+import Toggle from "@components/form/Toggle";
+import Input from "@components/form/Input";
+import Button from "@components/Button";
+import Notification from "@components/Notification";
+import { PROJECT_NAME } from "@constants/index";
+import authorize from "@services/auth/authorize";
+import { adminAccess, roles } from "@services/auth/roles";
+
+export async function getServerSideProps(context) {
+  const auth = await authorize(context.req, context.res, adminAccess.roles);
+  if (auth.error) {
+    return { redirect: auth.redirect };
+  }
+
+  let users = [];
+  try {
+    users = await getRolesApi();
+  } catch (e) {
+    logger.error(e, "get roles failed");
+  }
+
+  return {
+    props: {
+      users,
+      roles,
+    },
+  };
+}
+
+export default function Roles({ users, roles }) {
+  const [userList, setUserList] = useState(users);
+  const [username, setUsername] = useState("");
+  const [showNotification, setShowNotification] = useState({
+    show: false,
+    type: "",
+    message: "",
+    additionalMessage: "",
+  });
+
+  const update = async (username, newRoles) => {
+    const res = await fetch("/api/admin/roles", {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ username, roles: newRoles }),
+    });
+    const updatedUser = await res.json();
+    if (updatedUser.error) {
+      return setShowNotification({
+        show: true,
+        type: "error",
+        message: "Roles update failed",
+        additionalMessage: updatedUser.error,
+      });
+    }
+
+    const exists = userList.some((user) => user.username === username);
+    setUserList(
+      exists
+        ? userList.map((user) =>
+            user.username === username ? updatedUser : user,
+          )
+        : [...userList, updatedUser],
+    );
+
+    return setShowNotification({
+      show: true,
+      type: "success",
+      message: "Roles updated",
+      additionalMessage: `Roles for ${username} have been updated successfully`,
+    });
+  };
+
+  const toggle = (user, role) =>
+    update(
+      user.username,
+      user.roles.includes(role)
+        ? user.roles.filter((item) => item !== role)
+        : [...user.roles, role],
+    );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const existing = userList.find((user) => user.username === username);
+    await update(username, [
+      ...new Set([...(existing?.roles || []), "support"]),
+    ]);
+    setUsername("");
+  };
+
+  return (
+    <>
+      <PageHead
+        title={`${PROJECT_NAME} admin roles`}
+        description={`Manage roles for ${PROJECT_NAME} admins`}
+      />
+      <Page>
+        <Navigation />
+        <h1 className="text-4xl mb-4 font-bold">Roles</h1>
+
+        <Notification
+          show={showNotification.show}
+          type={showNotification.type}
+          onClose={() =>
+            setShowNotification({ ...showNotification, show: false })
+          }
+          message={showNotification.message}
+          additionalMessage={showNotification.additionalMessage}
+        />
+
+        <form onSubmit={handleAdd} className="flex gap-4 items-start">
+          <Input
+            name="username"
+            placeholder="GitHub username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+          />
+          <Button type="submit" className="w-auto">
+            Add
+          </Button>
+        </form>
+
+        <ul role="list" className="divide-y divide-primary-low">
+          {userList.map((user) => (
+            <li
+              key={user.username}
+              className="flex justify-between gap-x-6 py-5"
+            >
+              <div className="min-w-0 flex-auto">
+                <p className="text-sm font-semibold leading-6 text-primary-high dark:text-primary-low">
+                  {user.username}
+                </p>
+                <p className="mt-1 truncate text-xs leading-5 text-primary-medium dark:text-primary-low-medium">
+                  {user.name}
+                </p>
+              </div>
+              <div className="flex gap-x-6">
+                {roles.map((role) => (
+                  <Toggle
+                    key={role}
+                    text1={role}
+                    enabled={user.roles.includes(role)}
+                    setEnabled={() => toggle(user, role)}
+                  />
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </Page>
+    </>
+  );
+}
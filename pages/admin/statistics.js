@@ -1,14 +1,26 @@
 import { clientEnv } from "@config/schemas/clientSchema";
 
 import logger from "@config/logger";
+import Alert from "@components/Alert";
 import Page from "@components/Page";
 import PageHead from "@components/PageHead";
 
 import { getStatsApi } from "pages/api/admin/stats";
 import Navigation from "@components/admin/Navigation";
 import { PROJECT_NAME } from "@constants/index";
+import authorize from "@services/auth/authorize";
+import { adminAccess } from "@services/auth/roles";
+
+export async function getServerSideProps(context) {
+  const auth = await authorize(
+    context.req,
+    context.res,
+    adminAccess.statistics,
+  );
+  if (auth.error) {
+    return { redirect: auth.redirect };
+  }
 
-export async function getServerSideProps() {
   let data = {};
   try {
     data = await getStatsApi();
@@ -43,8 +55,54 @@ export default function Statistics({ stats }) {
       name: "Active in last 6 month",
       value: stats.totalActiveProfiles["6month"],
     },
+    {
+      id: 9,
+      name: `Profile views in last ${stats.traffic.days} days`,
+      value: stats.traffic.views,
+    },
+    {
+      id: 10,
+      name: `Bot profile views filtered in last ${stats.traffic.days} days`,
+      value: stats.traffic.bots.views,
+    },
+    {
+      id: 11,
+      name: `Link clicks in last ${stats.traffic.days} days`,
+      value: stats.traffic.clicks,
+    },
+    {
+      id: 12,
+      name: `Bot link clicks filtered in last ${stats.traffic.days} days`,
+      value: stats.traffic.bots.clicks,
+    },
+  ];
+
+  const bufferStats = [
+    {
+      id: 1,
+      name: "Stats writes waiting (this instance)",
+      value: stats.statsBuffer.pendingWrites,
+    },
+    {
+      id: 2,
+      name: "Views and clicks waiting (this instance)",
+      value: stats.statsBuffer.pendingHits,
+    },
+    { id: 3, name: "Failed flushes", value: stats.statsBuffer.failures },
+    {
+      id: 4,
+      name: "Increments dropped",
+      value: stats.statsBuffer.dropped,
+    },
   ];
 
+  const botReasons = {
+    "user-agent": "Known bot, crawler or http library",
+    "no-user-agent": "No user agent",
+    prefetch: "Prefetch or link preview",
+    "no-accept-language": "Browser without languages",
+  };
+
   return (
     <>
       <PageHead
@@ -70,6 +128,62 @@ export default function Statistics({ stats }) {
             </div>
           ))}
         </dl>
+
+        {stats.traffic.bots.reasons?.length > 0 && (
+          <>
+            <h2 className="text-2xl mt-8 mb-4 font-bold">
+              Filtered bot traffic
+            </h2>
+            <dl className="divide-y divide-primary-low dark:divide-primary-medium">
+              {stats.traffic.bots.reasons.map((item) => (
+                <div
+                  key={item.reason}
+                  className="flex justify-between gap-x-4 py-3 text-sm"
+                >
+                  <dt className="text-primary-medium dark:text-primary-low">
+                    {botReasons[item.reason] || item.reason}
+                  </dt>
+                  <dd className="text-primary-medium dark:text-primary-low">
+                    {item.total}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          </>
+        )}
+
+        <h2 className="text-2xl mt-8 mb-4 font-bold">Stats write buffer</h2>
+        <p className="text-sm text-primary-medium dark:text-primary-low">
+          Views and clicks are written every{" "}
+          {stats.statsBuffer.flushSeconds
+            ? `${stats.statsBuffer.flushSeconds} seconds`
+            : "request"}{" "}
+          by this server instance, last flushed{" "}
+          {stats.statsBuffer.lastFlushAt
+            ? new Date(stats.statsBuffer.lastFlushAt).toLocaleString()
+            : "never"}
+        </p>
+        {stats.statsBuffer.lastError && (
+          <Alert
+            type="error"
+            message={`Last flush error: ${stats.statsBuffer.lastError}`}
+          />
+        )}
+        <dl className="mt-4 grid grid-cols-1 gap-0.5 overflow-hidden rounded-2xl text-center sm:grid-cols-2 lg:grid-cols-4">
+          {bufferStats.map((stat) => (
+            <div
+              key={stat.id}
+              className="flex flex-col bg-primary-medium/5 dark:bg-primary-low-medium/5 p-8"
+            >
+              <dt className="text-sm font-semibold leading-6 text-primary-medium dark:text-primary-low">
+                {stat.name}
+              </dt>
+              <dd className="order-first text-3xl font-semibold tracking-tight text-primary-high dark:text-primary-low">
+                {stat.value}
+              </dd>
+            </div>
+          ))}
+        </dl>
       </Page>
     </>
   );
@@ -6,6 +6,11 @@ import connectMongo from "@config/mongo";
 import logger from "@config/logger";
 import { LinkStats, Profile, Link } from "@models/index";
 import logChange from "@models/middlewares/logChange";
+import { validateLinkSchedule } from "@services/utils/link/schedule";
+import { validateUtm } from "@services/utils/link/utm";
+import { formatSlug, validateLinkSlug } from "@services/utils/link/slug";
+import { validateLinkVariants } from "@services/utils/link/variants";
+import screenUrl from "@services/links/safety";
 
 export default async function handler(req, res) {
   const session = await getServerSession(req, res, authOptions);
@@ -28,7 +33,10 @@ export default async function handler(req, res) {
     link = await deleteLinkApi(context, username, data[0]);
   }
   if (req.method === "PUT") {
-    link = await updateLinkApi(context, username, data[0], req.body);
+    link =
+      data[1] === "promote"
+        ? await promoteLinkVariantApi(context, username, data[0], req.body.name)
+        : await updateLinkApi(context, username, data[0], req.body);
   }
   if (req.method === "POST") {
     link = await addLinkApi(context, username, req.body);
@@ -66,6 +74,76 @@ export async function getGroupLinkApi(username) {
   return getGroupLink;
 }
 
+// aliases must be unique for each user
+async function validateSlugApi(username, slug, id) {
+  const errors = validateLinkSlug({ slug });
+  if (errors || !slug) {
+    return errors;
+  }
+
+  const filter = { username, slug };
+  if (id) {
+    filter._id = { $ne: id };
+  }
+  if (await Link.exists(filter)) {
+    return { slug: "This alias is already used by another of your links" };
+  }
+
+  return null;
+}
+
+// rejected urls are never saved, the attempt is kept in the changelog instead
+async function screenUrlApi(context, username, url, beforeUpdate) {
+  const log = logger.child({ username });
+
+  // reviewed links keep the review while the url stays the same
+  if (beforeUpdate?.safety?.reviewedAt && beforeUpdate.url === url) {
+    return { safety: beforeUpdate.safety };
+  }
+
+  const result = screenUrl(url);
+  if (result.action === "allow") {
+    return { safety: null };
+  }
+
+  log.warn(
+    `url ${url} flagged (${result.action}) for username: ${username}: ${result.reasons.join(", ")}`,
+  );
+  if (result.action === "quarantine") {
+    return { safety: { status: "quarantined", reasons: result.reasons } };
+  }
+
+  await logScreeningApi(context, username, "REJECT", beforeUpdate, {
+    url,
+    safety: { status: "rejected", reasons: result.reasons },
+  });
+
+  return { error: { url: `URL not allowed: ${result.reasons.join(", ")}` } };
+}
+
+// flagged urls get their own changelog entry next to the link change
+async function logScreeningApi(context, username, operation, before, after) {
+  try {
+    await logChange(
+      await getServerSession(context.req, context.res, authOptions),
+      {
+        model: "Link",
+        operation,
+        changesBefore: before || null,
+        changesAfter: {
+          ...(before?._id && { _id: before._id }),
+          ...after,
+        },
+      },
+    );
+  } catch (e) {
+    logger.error(
+      e,
+      `failed to record ${operation} url in changelog for username: ${username}`,
+    );
+  }
+}
+
 export async function addLinkApi(context, username, data) {
   await connectMongo();
   const log = logger.child({ username });
@@ -78,6 +156,8 @@ export async function addLinkApi(context, username, data) {
       "icon",
       "url",
       "animation",
+      "startsAt",
+      "endsAt",
     ]);
   } catch(error) {
     log.error(
@@ -87,6 +167,36 @@ export async function addLinkApi(context, username, data) {
     return { error: error.errors };
   }
 
+  const scheduleErrors = validateLinkSchedule(data);
+  if (scheduleErrors) {
+    log.info(`invalid schedule to add link for username: ${username}`);
+    return { error: scheduleErrors };
+  }
+
+  const utmErrors = validateUtm(data.utm);
+  if (utmErrors) {
+    log.info(`invalid utm settings to add link for username: ${username}`);
+    return { error: utmErrors };
+  }
+
+  const slug = formatSlug(data.slug);
+  const slugErrors = await validateSlugApi(username, slug);
+  if (slugErrors) {
+    log.info(`invalid alias to add link for username: ${username}`);
+    return { error: slugErrors };
+  }
+
+  const variantErrors = validateLinkVariants(data);
+  if (variantErrors) {
+    log.info(`invalid alternate names to add link for username: ${username}`);
+    return { error: variantErrors };
+  }
+
+  const { safety, error } = await screenUrlApi(context, username, data.url);
+  if (error) {
+    return { error };
+  }
+
   try {
     const profile = await Profile.findOne({ username });
     getLink = await Link.create(
@@ -100,6 +210,12 @@ export async function addLinkApi(context, username, data) {
           isEnabled: data.isEnabled,
           isPinned: data.isPinned,
           animation: data.animation,
+          startsAt: data.startsAt || undefined,
+          endsAt: data.endsAt || undefined,
+          slug: slug || undefined,
+          variants: data.variants?.length ? data.variants : undefined,
+          safety: safety || undefined,
+          utm: data.utm,
           profile: new ObjectId(profile._id),
         },
       ],
@@ -122,6 +238,14 @@ export async function addLinkApi(context, username, data) {
   }
   getLink = await getLinkApi(username, getLink[0]._id);
 
+  if (safety) {
+    await logScreeningApi(context, username, "QUARANTINE", null, {
+      _id: getLink._id,
+      url: getLink.url,
+      safety: getLink.safety,
+    });
+  }
+
   // Add to Changelog
   try {
     logChange(await getServerSession(context.req, context.res, authOptions), {
@@ -154,6 +278,8 @@ export async function updateLinkApi(context, username, id, data) {
       "icon",
       "url",
       "animation",
+      "startsAt",
+      "endsAt",
     ]);
   } catch (error) {
     log.error(
@@ -163,6 +289,47 @@ export async function updateLinkApi(context, username, id, data) {
     return { error: error.errors };
   }
 
+  const scheduleErrors = validateLinkSchedule({
+    startsAt:
+      data.startsAt !== undefined ? data.startsAt : beforeUpdate.startsAt,
+    endsAt: data.endsAt !== undefined ? data.endsAt : beforeUpdate.endsAt,
+  });
+  if (scheduleErrors) {
+    log.info(`invalid schedule to update link for username: ${username}`);
+    return { error: scheduleErrors };
+  }
+
+  const utmErrors = validateUtm(data.utm);
+  if (utmErrors) {
+    log.info(`invalid utm settings to update link for username: ${username}`);
+    return { error: utmErrors };
+  }
+
+  const slug = formatSlug(data.slug);
+  const slugErrors = await validateSlugApi(username, slug, id);
+  if (slugErrors) {
+    log.info(`invalid alias to update link for username: ${username}`);
+    return { error: slugErrors };
+  }
+
+  const variantErrors = validateLinkVariants(data);
+  if (variantErrors) {
+    log.info(
+      `invalid alternate names to update link for username: ${username}`,
+    );
+    return { error: variantErrors };
+  }
+
+  const { safety, error } = await screenUrlApi(
+    context,
+    username,
+    data.url,
+    beforeUpdate,
+  );
+  if (error) {
+    return { error };
+  }
+
   try {
     getLink = await Link.findOneAndUpdate(
       {
@@ -177,6 +344,13 @@ export async function updateLinkApi(context, username, id, data) {
         isEnabled: data.isEnabled,
         isPinned: data.isPinned,
         animation: data.animation,
+        // left out fields are kept, an empty value clears them
+        ...(data.startsAt !== undefined && { startsAt: data.startsAt || null }),
+        ...(data.endsAt !== undefined && { endsAt: data.endsAt || null }),
+        ...(data.slug !== undefined && { slug: slug || null }),
+        ...(data.variants && { variants: data.variants }),
+        safety,
+        ...(data.utm && { utm: data.utm }),
       },
       { upsert: true },
     );
@@ -194,6 +368,60 @@ export async function updateLinkApi(context, username, id, data) {
     return { error: e.errors };
   }
 
+  if (
+    safety?.status === "quarantined" &&
+    (beforeUpdate.url !== data.url ||
+      beforeUpdate.safety?.status !== "quarantined")
+  ) {
+    await logScreeningApi(context, username, "QUARANTINE", beforeUpdate, {
+      url: data.url,
+      safety,
+    });
+  }
+
+  // Add to Changelog
+  try {
+    logChange(await getServerSession(context.req, context.res, authOptions), {
+      model: "Link",
+      changesBefore: beforeUpdate,
+      changesAfter: await getLinkApi(username, id),
+    });
+  } catch (e) {
+    log.error(
+      e,
+      `failed to record Link changes in changelog for username: ${username}`,
+    );
+  }
+
+  return JSON.parse(JSON.stringify(getLink));
+}
+
+// the alternate name becomes the link name, which ends the test
+export async function promoteLinkVariantApi(context, username, id, name) {
+  await connectMongo();
+  const log = logger.child({ username });
+
+  const beforeUpdate = await getLinkApi(username, id);
+  if (beforeUpdate.error) {
+    return beforeUpdate;
+  }
+  if (!beforeUpdate.variants?.includes(name)) {
+    return { error: { name: "This is not an alternate name of the link" } };
+  }
+
+  let getLink = {};
+  try {
+    getLink = await Link.findOneAndUpdate(
+      { _id: id, username },
+      { name, variants: [] },
+      { new: true },
+    );
+    log.info(`link ${id} alternate name promoted for username: ${username}`);
+  } catch (e) {
+    log.error(e, `failed to promote link ${id} for username: ${username}`);
+    return { error: e.errors };
+  }
+
   // Add to Changelog
   try {
     logChange(await getServerSession(context.req, context.res, authOptions), {
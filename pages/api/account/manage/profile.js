@@ -9,6 +9,7 @@ import {
   getAccountByProviderAccountId,
 } from "../account";
 import logChange from "@models/middlewares/logChange";
+import { utmParams, validateUtm } from "@services/utils/link/utm";
 
 export default async function handler(req, res) {
   const session = await getServerSession(req, res, authOptions);
@@ -78,6 +79,19 @@ export async function updateProfileApi(
       .filter((tag) => Boolean(tag.trim()))
       .map((tag) => tag.trim()),
   };
+  if (data.isDigestEnabled !== undefined) {
+    updateProfile["digest.isEnabled"] = !!data.isDigestEnabled;
+  }
+  if (data.utm) {
+    const utmErrors = validateUtm(data.utm);
+    if (utmErrors) {
+      return { error: utmErrors };
+    }
+    updateProfile["utm.isEnabled"] = !!data.utm.isEnabled;
+    utmParams.forEach((param) => {
+      updateProfile[`utm.${param}`] = data.utm[param] || "";
+    });
+  }
 
   try {
     await Profile.validate(updateProfile, [
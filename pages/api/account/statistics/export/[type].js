@@ -0,0 +1,153 @@
+import { authOptions } from "../../../auth/[...nextauth]";
+import { getServerSession } from "next-auth/next";
+
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Link, LinkStats, ProfileStats } from "@models/index";
+import { formatDay, parseStatsRange } from "@services/stats/range";
+import { fromStatsKeys, mapToCsv, toCsvRow } from "@services/utils/csv";
+
+export const exportTypes = ["profile", "links"];
+export const exportFormats = ["csv", "json"];
+
+export default async function handler(req, res) {
+  const session = await getServerSession(req, res, authOptions);
+  if (!session) {
+    return res.status(401).json({ error: "You must be logged in" });
+  }
+
+  if (req.method != "GET") {
+    return res
+      .status(400)
+      .json({ error: "Invalid request: GET request required" });
+  }
+
+  const { type, format = "csv" } = req.query;
+  if (!exportTypes.includes(type) || !exportFormats.includes(format)) {
+    return res.status(400).json({
+      error: `Invalid request: export ${exportTypes.join(
+        " or ",
+      )} as ${exportFormats.join(" or ")}`,
+    });
+  }
+
+  const range = parseStatsRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  const username = session.username;
+  const exporter = type === "profile" ? exportProfileStats : exportLinkStats;
+  const filename = `${username}-${type}-${formatDay(range.from)}-${formatDay(
+    range.to,
+  )}.${format}`;
+
+  // read everything before sending headers, so a failed export is an error
+  // response and not a truncated download
+  let body;
+  try {
+    body = await exporter(username, range, format);
+  } catch (e) {
+    logger.error(e, `failed to export ${type} stats for ${username}`);
+    return res.status(500).json({ error: "Export failed" });
+  }
+
+  res.setHeader(
+    "Content-Type",
+    format === "csv" ? "text/csv; charset=utf-8" : "application/json",
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  return res.status(200).send(body);
+}
+
+async function formatRows(format, header, rows) {
+  const lines = [];
+  for await (const row of rows) {
+    lines.push(
+      format === "csv"
+        ? toCsvRow(header.map((key) => row.csv[key]))
+        : JSON.stringify(row.json),
+    );
+  }
+
+  if (format === "csv") {
+    return toCsvRow(header) + lines.join("");
+  }
+  return `[${lines.map((line) => `\n${line}`).join(",")}\n]\n`;
+}
+
+export async function exportProfileStats(username, range, format) {
+  await connectMongo();
+
+  const cursor = ProfileStats.find(
+    { username, date: { $gte: range.from, $lte: range.to } },
+    "date granularity views visitors stats -_id",
+  )
+    .sort({ date: "asc" })
+    .lean()
+    .cursor();
+
+  async function* rows() {
+    for await (const day of cursor) {
+      const json = {
+        date: formatDay(day.date),
+        granularity: day.granularity || "day",
+        views: day.views || 0,
+        visitors: day.visitors || 0,
+        referers: fromStatsKeys(day.stats?.referers),
+        countries: fromStatsKeys(day.stats?.countries),
+      };
+      yield {
+        json,
+        csv: {
+          ...json,
+          referers: mapToCsv(json.referers),
+          countries: mapToCsv(json.countries),
+        },
+      };
+    }
+  }
+
+  return formatRows(
+    format,
+    ["date", "granularity", "views", "visitors", "referers", "countries"],
+    rows(),
+  );
+}
+
+export async function exportLinkStats(username, range, format) {
+  await connectMongo();
+
+  const links = await Link.find({ username }, "url");
+  const urls = Object.fromEntries(
+    links.map((link) => [link._id.toString(), link.url]),
+  );
+
+  const cursor = LinkStats.find(
+    { username, date: { $gte: range.from, $lte: range.to } },
+    "date granularity link clicks -_id",
+  )
+    .sort({ date: "asc" })
+    .lean()
+    .cursor();
+
+  async function* rows() {
+    for await (const day of cursor) {
+      const json = {
+        date: formatDay(day.date),
+        granularity: day.granularity || "day",
+        link: day.link?.toString(),
+        url: urls[day.link?.toString()] || "",
+        clicks: day.clicks || 0,
+      };
+      yield { json, csv: json };
+    }
+  }
+
+  return formatRows(
+    format,
+    ["date", "granularity", "link", "url", "clicks"],
+    rows(),
+  );
+}
@@ -0,0 +1,133 @@
+import { authOptions } from "../../auth/[...nextauth]";
+import { getServerSession } from "next-auth/next";
+
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Link, LinkStats } from "@models/index";
+import { getProfileViewsPerDay } from "./index";
+import {
+  clickThroughRate,
+  defaultRangeDays,
+  lastDays,
+  parseStatsRange,
+  rangeMatch,
+} from "@services/stats/range";
+
+export default async function handler(req, res) {
+  const session = await getServerSession(req, res, authOptions);
+  if (!session) {
+    return res.status(401).json({ error: "You must be logged in" });
+  }
+
+  if (req.method != "GET") {
+    return res
+      .status(400)
+      .json({ error: "Invalid request: GET request required" });
+  }
+
+  const range = parseStatsRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  const data = await getFunnelStats(session.username, range);
+  if (data.error) {
+    return res.status(400).json({ error: data.error });
+  }
+
+  res.status(200).json(data);
+}
+
+// profile views that led to link clicks, per day, per source of the
+// visit and per link
+export async function getFunnelStats(
+  username,
+  range = lastDays(defaultRangeDays),
+) {
+  await connectMongo();
+
+  const daily = await getProfileViewsPerDay(username, range.days, range.to);
+
+  let clickStats = [];
+  let links = [];
+  try {
+    clickStats = await LinkStats.find(
+      { username, ...rangeMatch(range) },
+      "link date granularity clicks stats.sources",
+    ).lean();
+    links = await Link.find({ username }, "name url").lean();
+  } catch (e) {
+    const error = `failed to load funnel stats for username: ${username}`;
+    logger.error(e, error);
+    return { error };
+  }
+
+  const views = daily.reduce((acc, day) => acc + (day.views || 0), 0);
+  const clicks = clickStats.reduce((acc, stat) => acc + stat.clicks, 0);
+
+  // rolled up months are shown on their first day in range, like the views
+  const dayIndex = (stat) =>
+    daily.findIndex((day) =>
+      stat.granularity === "month"
+        ? day.date.getFullYear() === stat.date.getFullYear() &&
+          day.date.getMonth() === stat.date.getMonth()
+        : day.date.toDateString() === stat.date.toDateString(),
+    );
+  const dailyClicks = daily.map(() => 0);
+  clickStats.forEach((stat) => {
+    const index = dayIndex(stat);
+    if (index !== -1) {
+      dailyClicks[index] += stat.clicks;
+    }
+  });
+
+  const viewSources = sumSources(daily);
+  const clickSources = sumSources(clickStats);
+  const sources = [
+    ...new Set([...Object.keys(viewSources), ...Object.keys(clickSources)]),
+  ]
+    .map((name) => funnel(name, viewSources[name] || 0, clickSources[name]))
+    .sort((a, b) => b.views - a.views || b.clicks - a.clicks);
+
+  const linkClicks = {};
+  clickStats.forEach((stat) => {
+    linkClicks[stat.link] = (linkClicks[stat.link] || 0) + stat.clicks;
+  });
+
+  return JSON.parse(
+    JSON.stringify({
+      range,
+      total: funnel("total", views, clicks),
+      daily: daily.map((day, index) => ({
+        date: day.date,
+        ...funnel(undefined, day.views || 0, dailyClicks[index]),
+      })),
+      sources,
+      links: links
+        .map((link) => ({
+          _id: link._id,
+          url: link.url,
+          ...funnel(link.name, views, linkClicks[link._id] || 0),
+        }))
+        .sort((a, b) => b.clicks - a.clicks),
+    }),
+  );
+}
+
+const funnel = (name, views, clicks = 0) => ({
+  name,
+  views,
+  clicks,
+  ctr: clickThroughRate(clicks, views),
+});
+
+function sumSources(results) {
+  const totals = {};
+  results.forEach((result) => {
+    Object.entries(result.stats?.sources || {}).forEach(([name, value]) => {
+      totals[name] = (totals[name] || 0) + value;
+    });
+  });
+
+  return totals;
+}
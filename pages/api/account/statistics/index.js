@@ -4,6 +4,14 @@ import { getServerSession } from "next-auth/next";
 import connectMongo from "@config/mongo";
 import logger from "@config/logger";
 import { Profile, ProfileStats, Link, LinkStats } from "@models/index";
+import {
+  defaultRangeDays,
+  lastDays,
+  parseStatsRange,
+  percentageChange,
+  previousRange,
+  rangeMatch,
+} from "@services/stats/range";
 
 export default async function handler(req, res) {
   const session = await getServerSession(req, res, authOptions);
@@ -14,31 +22,96 @@ export default async function handler(req, res) {
       .json({ error: "Invalid request: GET request required" });
   }
 
-  const data = await getStats(session.username);
+  const range = parseStatsRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  const data = await getStats(session.username, range);
 
   res.status(200).json(data);
 }
 
-export async function getStats(username, numberOfDays = 30) {
+export async function getStats(username, range = lastDays(defaultRangeDays)) {
   await connectMongo();
 
+  const previous = previousRange(range);
   const profileData = await getRank(username);
-  const dailyStats = await getProfileViewsPerDay(username, numberOfDays);
+  const dailyStats = await getProfileViewsPerDay(
+    username,
+    range.days,
+    range.to,
+  );
+  const previousDailyStats = await getProfileViewsPerDay(
+    username,
+    previous.days,
+    previous.to,
+  );
   const linkStats = await getLinkStats(username);
+  const clicks = await getClicksForRange(username, range);
+  const hourly = await getHourlyStats(username, range);
+  const previousClicks = await getClicksForRange(username, previous);
+
+  const views = sumDays(dailyStats, "views");
+  const visitors = sumDays(dailyStats, "visitors");
 
   const data = {
+    range,
     profile: {
       total: profileData.views,
-      monthly: dailyStats.reduce((acc, day) => acc + day.views, 0),
+      views,
+      visitors,
       daily: dailyStats,
       rank: profileData.rank,
     },
     links: linkStats,
+    hourly,
+    comparison: {
+      previous,
+      views: compare(views, sumDays(previousDailyStats, "views")),
+      visitors: compare(visitors, sumDays(previousDailyStats, "visitors")),
+      clicks: compare(clicks, previousClicks),
+      referers: compareStats(dailyStats, previousDailyStats, "referers"),
+      countries: compareStats(dailyStats, previousDailyStats, "countries"),
+    },
   };
 
   return JSON.parse(JSON.stringify(data));
 }
 
+const sumDays = (days, key) =>
+  days.reduce((acc, day) => acc + (day[key] || 0), 0);
+
+const compare = (current, previous) => ({
+  current,
+  previous,
+  delta: percentageChange(current, previous),
+});
+
+// totals of a daily stats map (eg. referers) for both periods
+function compareStats(days, previousDays, key) {
+  const totals = {};
+  const add = (day, period) => {
+    const stats = day.stats?.[key];
+    if (!stats) {
+      return;
+    }
+    Object.entries(stats).forEach(([name, value]) => {
+      totals[name] = totals[name] || { current: 0, previous: 0 };
+      totals[name][period] += value;
+    });
+  };
+  days.forEach((day) => add(day, "current"));
+  previousDays.forEach((day) => add(day, "previous"));
+
+  return Object.keys(totals)
+    .map((name) => ({
+      name,
+      ...compare(totals[name].current, totals[name].previous),
+    }))
+    .sort((a, b) => b.current - a.current || b.previous - a.previous);
+}
+
 export async function getRank(username) {
   await connectMongo();
 
@@ -69,41 +142,125 @@ export async function getRank(username) {
 
   return { views: profileData.views, rank: profileData.rank };
 }
-export async function getProfileViewsPerDay(username, numberOfDays = 30) {
+export async function getProfileViewsPerDay(
+  username,
+  numberOfDays = 30,
+  endDate = new Date(),
+) {
   await connectMongo();
 
-  // This calculates the start date by subtracting the specified number of days from the current date.
-  // The query then retrieves data from that calculated start date up to the current date.
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - numberOfDays);
+  // every day from `numberOfDays` before the end date up to and including it
+  const { from, to } = lastDays(numberOfDays, endDate);
+  const monthFrom = new Date(from.getFullYear(), from.getMonth(), 1);
 
   let profileViews = [];
   try {
     profileViews = await ProfileStats.find({
       username,
-      date: { $gte: startDate },
-    }).sort({ date: "asc" });
+      $or: [
+        { granularity: { $ne: "month" }, date: { $gte: from, $lte: to } },
+        { granularity: "month", date: { $gte: monthFrom, $lte: to } },
+      ],
+    })
+      .sort({ date: "asc" })
+      .lean();
   } catch (e) {
     logger.error(e, "failed to load stats");
   }
 
   let dailyStats = [];
   for (let day = 0; day < numberOfDays; day++) {
-    const date = new Date();
-    date.setDate(date.getDate() - numberOfDays + day);
+    const date = new Date(from);
+    date.setDate(date.getDate() + day);
     const result = profileViews.find(
-      (result) => result.date.toDateString() === date.toDateString(),
+      (result) =>
+        result.granularity !== "month" &&
+        result.date.toDateString() === date.toDateString(),
     );
     if (result) {
       dailyStats.push(result);
     } else {
-      dailyStats.push({ date, views: 0 });
+      dailyStats.push({ date, views: 0, visitors: 0 });
     }
   }
 
+  // rolled up months only have a total, so show it on their first day in range
+  profileViews
+    .filter((result) => result.granularity === "month")
+    .forEach((month) => {
+      const index = dailyStats.findIndex(
+        (day) =>
+          day.date.getFullYear() === month.date.getFullYear() &&
+          day.date.getMonth() === month.date.getMonth(),
+      );
+      if (index !== -1) {
+        dailyStats[index] = {
+          ...month,
+          date: dailyStats[index].date,
+        };
+      }
+    });
+
   return dailyStats;
 }
 
+export async function getClicksForRange(username, range) {
+  await connectMongo();
+
+  let clicks = [];
+  try {
+    clicks = await LinkStats.aggregate([
+      {
+        $match: { username, ...rangeMatch(range) },
+      },
+      { $group: { _id: null, clicks: { $sum: "$clicks" } } },
+    ]);
+  } catch (e) {
+    logger.error(e, `failed to load clicks for range for ${username}`);
+  }
+
+  return clicks[0]?.clicks || 0;
+}
+
+// views and clicks per hour as timestamps, so they can be shown in the
+// viewer's timezone, rolled up months no longer have hours
+export async function getHourlyStats(username, range) {
+  await connectMongo();
+
+  const match = {
+    username,
+    granularity: { $ne: "month" },
+    date: { $gte: range.from, $lte: range.to },
+  };
+  let views = [];
+  let clicks = [];
+  try {
+    views = await ProfileStats.find(match, "date hours").lean();
+    clicks = await LinkStats.find(match, "date hours").lean();
+  } catch (e) {
+    logger.error(e, `failed to load hourly stats for ${username}`);
+  }
+
+  const hours = {};
+  const add = (results, key) =>
+    results.forEach((result) => {
+      Object.entries(result.hours || {}).forEach(([hour, value]) => {
+        const time = new Date(result.date);
+        time.setHours(hour, 0, 0, 0);
+        hours[time.getTime()] = hours[time.getTime()] || {
+          time,
+          views: 0,
+          clicks: 0,
+        };
+        hours[time.getTime()][key] += value;
+      });
+    });
+  add(views, "views");
+  add(clicks, "clicks");
+
+  return Object.values(hours).sort((a, b) => a.time - b.time);
+}
+
 export async function getLinkStats(username) {
   await connectMongo();
 
@@ -135,6 +292,7 @@ export async function getLinkStats(username) {
         .map((stat) => ({
           clicks: stat.clicks,
           date: stat.date,
+          granularity: stat.granularity || "day",
         })),
     };
   });
@@ -5,6 +5,8 @@ import { ObjectId } from "bson";
 import connectMongo from "@config/mongo";
 import logger from "@config/logger";
 import { Link, LinkStats } from "@models/index";
+import { compareVariants, variantKey } from "@services/stats/variants";
+import { getLinkNames } from "@services/utils/link/variants";
 
 export default async function handler(req, res) {
   const session = await getServerSession(req, res, authOptions);
@@ -43,7 +45,7 @@ export async function getStatsForLink(username, id, numberOfDays = 30) {
   try {
     results = await LinkStats.find(
       { link: link._id, date: { $gte: startDate } },
-      "date clicks -_id",
+      "date clicks stats -_id",
     ).sort({ date: "asc" });
   } catch (e) {
     const error = `failed to load stats for link id: ${id}`;
@@ -58,10 +60,57 @@ export async function getStatsForLink(username, id, numberOfDays = 30) {
     const result = results.find(
       (result) => result.date.toDateString() === date.toDateString(),
     );
-    stats.push(result ? result : { date, clicks: 0 });
+    stats.push(
+      result
+        ? { date: result.date, clicks: result.clicks }
+        : { date, clicks: 0 },
+    );
+  }
+
+  let variants = [];
+  if (link.variants?.length) {
+    const views = sumStats(results, "variantViews");
+    const clicks = sumStats(results, "variants");
+    const total = (list, name) =>
+      list.find((item) => item.name === variantKey(name))?.value || 0;
+
+    variants = compareVariants(
+      getLinkNames(link).map((name) => ({
+        name,
+        views: total(views, name),
+        clicks: total(clicks, name),
+      })),
+    );
   }
 
   return JSON.parse(
-    JSON.stringify({ url: link.url, total: link.clicks, stats }),
+    JSON.stringify({
+      _id: link._id,
+      url: link.url,
+      total: link.clicks,
+      variants,
+      stats,
+      referers: sumStats(results, "referers"),
+      countries: sumStats(results, "countries"),
+      devices: sumStats(results, "devices"),
+    }),
   );
 }
+
+// add up the daily maps into a list sorted by most clicks
+function sumStats(results, key) {
+  const totals = {};
+  results.forEach((result) => {
+    const stats = result.stats?.[key];
+    if (!stats) {
+      return;
+    }
+    stats.forEach((value, name) => {
+      totals[name] = (totals[name] || 0) + value;
+    });
+  });
+
+  return Object.keys(totals)
+    .map((name) => ({ name, value: totals[name] }))
+    .sort((a, b) => b.value - a.value);
+}
@@ -0,0 +1,87 @@
+import { authOptions } from "../../auth/[...nextauth]";
+import { getServerSession } from "next-auth/next";
+
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import {
+  getLiveEvents,
+  watchLiveEvents,
+  watchSeconds,
+} from "@services/stats/live";
+
+const refreshSeconds = 5;
+// the browser reconnects when the stream ends, so it never runs into the
+// function time limit
+const streamSeconds = 50;
+
+// the stream stays open, it is not resolved by returning a response
+export const config = {
+  maxDuration: 60,
+  api: {
+    externalResolver: true,
+  },
+};
+
+// server-sent events of the views and clicks of the signed in user's profile,
+// read from the database as they can be recorded by any server instance
+export default async function handler(req, res) {
+  const session = await getServerSession(req, res, authOptions);
+  if (!session) {
+    return res.status(401).json({ error: "You must be logged in" });
+  }
+
+  if (req.method != "GET") {
+    return res
+      .status(400)
+      .json({ error: "Invalid request: GET request required" });
+  }
+
+  await connectMongo();
+  const { username } = session;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    "Content-Encoding": "none",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 1000\n\n");
+
+  const started = Date.now();
+  let watchedAt = 0;
+  let isClosed = false;
+  let timer = null;
+
+  const send = async () => {
+    if (Date.now() - watchedAt > (watchSeconds / 2) * 1000) {
+      watchedAt = Date.now();
+      await watchLiveEvents(username);
+    }
+
+    try {
+      const live = await getLiveEvents(username);
+      if (!isClosed) {
+        res.write(`event: live\ndata: ${JSON.stringify(live)}\n\n`);
+      }
+    } catch (e) {
+      logger.error(e, `failed to load live statistics for ${username}`);
+    }
+
+    if (isClosed) {
+      return;
+    }
+    if (Date.now() - started > streamSeconds * 1000) {
+      return res.end();
+    }
+    timer = setTimeout(send, refreshSeconds * 1000);
+  };
+
+  req.on("close", () => {
+    isClosed = true;
+    clearTimeout(timer);
+    res.end();
+  });
+
+  await send();
+}
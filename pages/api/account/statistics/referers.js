@@ -0,0 +1,85 @@
+import { authOptions } from "../../auth/[...nextauth]";
+import { getServerSession } from "next-auth/next";
+
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { ProfileStats } from "@models/index";
+import {
+  defaultRangeDays,
+  lastDays,
+  parseStatsRange,
+  rangeMatch,
+} from "@services/stats/range";
+
+const breakdowns = [
+  "channels",
+  "sources",
+  "utmSources",
+  "utmCampaigns",
+  "refs",
+];
+
+export default async function handler(req, res) {
+  const session = await getServerSession(req, res, authOptions);
+  if (!session) {
+    return res.status(401).json({ error: "You must be logged in" });
+  }
+
+  if (req.method != "GET") {
+    return res
+      .status(400)
+      .json({ error: "Invalid request: GET request required" });
+  }
+
+  const range = parseStatsRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  const data = await getRefererStats(session.username, range);
+  if (data.error) {
+    return res.status(400).json({ error: data.error });
+  }
+
+  res.status(200).json(data);
+}
+
+// where profile visits came from, referers grouped by source and channel
+// and the campaign query params of the visits
+export async function getRefererStats(
+  username,
+  range = lastDays(defaultRangeDays),
+) {
+  await connectMongo();
+
+  let results = [];
+  try {
+    results = await ProfileStats.find(
+      { username, ...rangeMatch(range) },
+      "stats",
+    ).lean();
+  } catch (e) {
+    const error = `failed to load referer stats for username: ${username}`;
+    logger.error(e, error);
+    return { error };
+  }
+
+  let data = { range };
+  breakdowns.forEach((key) => (data[key] = sumStats(results, key)));
+
+  return JSON.parse(JSON.stringify(data));
+}
+
+// add up the daily maps into a list sorted by most views
+function sumStats(results, key) {
+  const totals = {};
+  results.forEach((result) => {
+    Object.entries(result.stats?.[key] || {}).forEach(([name, value]) => {
+      totals[name] = (totals[name] || 0) + value;
+    });
+  });
+
+  return Object.keys(totals)
+    .map((name) => ({ name, value: totals[name] }))
+    .sort((a, b) => b.value - a.value);
+}
@@ -3,8 +3,15 @@ import { ObjectId } from "bson";
 import connectMongo from "@config/mongo";
 import logger from "@config/logger";
 import Profile from "@models/Profile";
+import authorize from "@services/auth/authorize";
+import { adminAccess } from "@services/auth/roles";
 
 export default async function handler(req, res) {
+  const auth = await authorize(req, res, adminAccess.events);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
   if (!["PATCH"].includes(req.method)) {
     return res.status(400).json({ error: "Invalid request: PATCH required" });
   }
@@ -0,0 +1,68 @@
+import connectMongo from "@config/mongo";
+
+import logger from "@config/logger";
+import { Link } from "@models/index";
+import authorize from "@services/auth/authorize";
+import { adminAccess } from "@services/auth/roles";
+
+export default async function handler(req, res) {
+  const auth = await authorize(req, res, adminAccess.links);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  if (!["GET"].includes(req.method)) {
+    return res.status(400).json({ error: "Invalid request: GET required" });
+  }
+
+  const data =
+    req.query.filter === "review"
+      ? await getReviewLinks()
+      : await getBrokenLinks();
+
+  res.status(200).json(data);
+}
+
+// links that failed their last check, longest failing first
+export async function getBrokenLinks(limit = 100) {
+  await connectMongo();
+
+  let data = { checked: 0, broken: 0, links: [] };
+  try {
+    const [checked, broken, links] = await Promise.all([
+      Link.countDocuments({ "health.checkedAt": { $exists: true } }),
+      Link.countDocuments({ "health.failures": { $gt: 0 } }),
+      Link.find(
+        { "health.failures": { $gt: 0 } },
+        "username name url isEnabled health",
+      )
+        .sort({ "health.failures": -1, "health.checkedAt": -1 })
+        .limit(limit),
+    ]);
+    data = { checked, broken, links };
+  } catch (e) {
+    logger.error(e, "failed loading broken links");
+  }
+
+  return JSON.parse(JSON.stringify(data));
+}
+
+// links quarantined by the url safety checks, oldest first
+export async function getReviewLinks(limit = 100) {
+  await connectMongo();
+
+  let data = { links: [] };
+  try {
+    const links = await Link.find(
+      { "safety.status": "quarantined" },
+      "username name url isEnabled safety updatedAt",
+    )
+      .sort({ updatedAt: 1 })
+      .limit(limit);
+    data = { links };
+  } catch (e) {
+    logger.error(e, "failed loading links to review");
+  }
+
+  return JSON.parse(JSON.stringify(data));
+}
@@ -0,0 +1,68 @@
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Link } from "@models/index";
+import logChange from "@models/middlewares/logChange";
+import authorize from "@services/auth/authorize";
+import { adminAccess } from "@services/auth/roles";
+
+export default async function handler(req, res) {
+  const auth = await authorize(req, res, adminAccess.linkReview);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  if (!["PATCH"].includes(req.method)) {
+    return res.status(400).json({ error: "Invalid request: PATCH required" });
+  }
+
+  const link = await reviewLinkApi(auth.session, req.query.id, req.body.status);
+
+  if (link.error) {
+    return res.status(400).json({ message: link.error });
+  }
+  return res.status(200).json(link);
+}
+
+// rejected links are also disabled, the owner can still see and delete them
+export async function reviewLinkApi(session, id, status) {
+  if (!["approved", "rejected"].includes(status)) {
+    return { error: `${status} is not a supported review status` };
+  }
+  await connectMongo();
+
+  let beforeUpdate = null;
+  let link = null;
+  try {
+    beforeUpdate = await Link.findOne({ _id: id });
+    link = await Link.findOneAndUpdate(
+      { _id: id },
+      {
+        "safety.status": status,
+        "safety.reviewedBy": session.username,
+        "safety.reviewedAt": new Date(),
+        ...(status === "rejected" && { isEnabled: false }),
+      },
+      { new: true },
+    );
+  } catch (e) {
+    logger.error(e, `failed to review link: ${id} by admin`);
+    return { error: "Link not updated" };
+  }
+
+  if (!link) {
+    return { error: "Link not found" };
+  }
+  logger.info(`link ${id} ${status} by admin: ${session.username}`);
+
+  try {
+    await logChange(session, {
+      model: "Link",
+      changesBefore: JSON.parse(JSON.stringify(beforeUpdate)),
+      changesAfter: JSON.parse(JSON.stringify(link)),
+    });
+  } catch (e) {
+    logger.error(e, `failed to record Link review in changelog: ${id}`);
+  }
+
+  return JSON.parse(JSON.stringify(link));
+}
@@ -2,8 +2,15 @@ import connectMongo from "@config/mongo";
 
 import logger from "@config/logger";
 import { Profile } from "@models/index";
+import authorize from "@services/auth/authorize";
+import { adminAccess } from "@services/auth/roles";
 
 export default async function handler(req, res) {
+  const auth = await authorize(req, res, adminAccess.profiles);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
   if (!["GET"].includes(req.method)) {
     return res.status(400).json({ error: "Invalid request: GET required" });
   }
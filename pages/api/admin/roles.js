@@ -0,0 +1,122 @@
+import { ObjectId } from "bson";
+
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Profile, User } from "@models/index";
+import logChange from "@models/middlewares/logChange";
+import authorize from "@services/auth/authorize";
+import { adminAccess, roles } from "@services/auth/roles";
+
+export default async function handler(req, res) {
+  const auth = await authorize(req, res, adminAccess.roles);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  if (!["GET", "PATCH"].includes(req.method)) {
+    return res
+      .status(400)
+      .json({ error: "Invalid request: GET or PATCH required" });
+  }
+
+  let data = [];
+  if (req.method === "GET") {
+    data = await getRolesApi();
+  }
+  if (req.method === "PATCH") {
+    data = await updateRolesApi(auth.session, req.body);
+  }
+
+  if (data.error) {
+    return res.status(400).json({ error: data.error });
+  }
+  return res.status(200).json(data);
+}
+
+export async function getRolesApi() {
+  await connectMongo();
+
+  let users = [];
+  try {
+    users = await User.aggregate([
+      { $match: { "roles.0": { $exists: true } } },
+      {
+        $lookup: {
+          from: "profiles",
+          localField: "_id",
+          foreignField: "user",
+          as: "profile",
+        },
+      },
+      {
+        $project: {
+          name: 1,
+          roles: 1,
+          username: { $first: "$profile.username" },
+        },
+      },
+      { $sort: { username: 1 } },
+    ]);
+  } catch (e) {
+    logger.error(e, "failed to load users with roles");
+  }
+
+  return JSON.parse(JSON.stringify(users));
+}
+
+export async function updateRolesApi(session, data) {
+  await connectMongo();
+  const { username } = data;
+  const log = logger.child({ username });
+
+  const newRoles = [...new Set(data.roles || [])];
+  const invalidRoles = newRoles.filter((role) => !roles.includes(role));
+  if (invalidRoles.length) {
+    return { error: `Roles not supported: ${invalidRoles.join(", ")}` };
+  }
+
+  if (session.username === username && !newRoles.includes("admin")) {
+    return { error: "You cannot remove your own admin role" };
+  }
+
+  const profile = await Profile.findOne({ username }, ["user"]);
+  if (!profile?.user) {
+    log.info(`user not found for username: ${username}`);
+    return { error: `User not found for username: ${username}` };
+  }
+
+  let beforeUpdate = {};
+  let user = {};
+  try {
+    beforeUpdate = await User.findOne({ _id: new ObjectId(profile.user) }, [
+      "name",
+      "roles",
+    ]);
+    user = await User.findOneAndUpdate(
+      { _id: new ObjectId(profile.user) },
+      { roles: newRoles },
+      { new: true, runValidators: true, projection: ["name", "roles"] },
+    );
+    log.info(`roles updated to "${newRoles.join(", ")}" for: ${username}`);
+  } catch (e) {
+    const error = `failed to update roles for username: ${username}`;
+    log.error(e, error);
+    return { error };
+  }
+
+  // Add to Changelog
+  try {
+    logChange(session, {
+      model: "User",
+      changesBefore: JSON.parse(JSON.stringify(beforeUpdate)),
+      changesAfter: JSON.parse(JSON.stringify(user)),
+    });
+  } catch (e) {
+    log.error(
+      e,
+      `failed to record roles changes in changelog for username: ${username}`,
+    );
+  }
+
+  return JSON.parse(JSON.stringify({ ...user.toObject(), username }));
+}
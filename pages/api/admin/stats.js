@@ -1,9 +1,17 @@
 import connectMongo from "@config/mongo";
 import logger from "@config/logger";
 
-import { Changelog, Profile, User } from "@models/index";
+import { Changelog, Profile, Stats, User } from "@models/index";
+import authorize from "@services/auth/authorize";
+import { adminAccess } from "@services/auth/roles";
+import { getStatsBacklog } from "@services/stats/buffer";
 
 export default async function handler(req, res) {
+  const auth = await authorize(req, res, adminAccess.statistics);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
   if (!["GET"].includes(req.method)) {
     return res.status(400).json({ error: "Invalid request: GET required" });
   }
@@ -93,6 +101,52 @@ export async function getStatsApi() {
     logger.error(e, "failed to load totalActiveProfiles profiles");
   }
 
+  const trafficDays = 30;
+  let dateTrafficStart = new Date();
+  dateTrafficStart.setDate(dateTrafficStart.getDate() - trafficDays);
+  let traffic = { days: trafficDays, views: 0, clicks: 0, bots: {} };
+  try {
+    const [totals] = await Stats.aggregate([
+      { $match: { date: { $gte: dateTrafficStart } } },
+      {
+        $group: {
+          _id: null,
+          views: { $sum: "$users" },
+          clicks: { $sum: "$clicks" },
+          botViews: { $sum: "$bots.users" },
+          botClicks: { $sum: "$bots.clicks" },
+        },
+      },
+    ]);
+    const reasons = await Stats.aggregate([
+      {
+        $match: {
+          date: { $gte: dateTrafficStart },
+          "bots.reasons": { $exists: true },
+        },
+      },
+      { $project: { reasons: { $objectToArray: "$bots.reasons" } } },
+      { $unwind: "$reasons" },
+      { $group: { _id: "$reasons.k", total: { $sum: "$reasons.v" } } },
+      { $sort: { total: -1 } },
+    ]);
+    traffic = {
+      days: trafficDays,
+      views: totals?.views || 0,
+      clicks: totals?.clicks || 0,
+      bots: {
+        views: totals?.botViews || 0,
+        clicks: totals?.botClicks || 0,
+        reasons: reasons.map((reason) => ({
+          reason: reason._id,
+          total: reason.total,
+        })),
+      },
+    };
+  } catch (e) {
+    logger.error(e, "failed to load traffic stats");
+  }
+
   return {
     statusCode: 200,
     stats: {
@@ -104,6 +158,8 @@ export async function getStatsApi() {
       totalChangelogs: totalChangelogs || 0,
       totalCustomDomains: totalCustomDomains || 0,
       totalActiveProfiles: totalActiveProfiles,
+      traffic,
+      statsBuffer: JSON.parse(JSON.stringify(getStatsBacklog())),
     },
   };
 }
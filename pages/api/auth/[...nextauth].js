@@ -12,6 +12,7 @@ import {
   associateProfileWithAccount,
 } from "../account/account";
 import logger from "@config/logger";
+import { getUserRoles } from "@services/auth/roles";
 
 export const authOptions = {
   adapter: DbAdapter(connectMongo),
@@ -77,6 +78,7 @@ export const authOptions = {
         session.accountType = "free";
         session.stripeCustomerId = null;
       }
+      session.roles = getUserRoles(user, token.username, serverEnv.ADMIN_USERS);
 
       return session;
     },
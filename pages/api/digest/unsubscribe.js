@@ -0,0 +1,39 @@
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Profile } from "@models/index";
+import { isUnsubscribeToken } from "@services/mail/unsubscribe";
+
+// POST only, so mail scanners following the link do not unsubscribe anyone.
+// Used by the unsubscribe page and one-click `List-Unsubscribe-Post` requests
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res
+      .status(400)
+      .json({ error: "Invalid request: POST request required" });
+  }
+
+  const { username, token } = req.query;
+  const { status, data } = await unsubscribeDigestApi(username, token);
+  return res.status(status).json(data);
+}
+
+export async function unsubscribeDigestApi(username, token) {
+  if (!username || !token || !isUnsubscribeToken(username, token)) {
+    return { status: 400, data: { error: "Unsubscribe link is not valid" } };
+  }
+
+  await connectMongo();
+  try {
+    await Profile.updateOne(
+      { username },
+      { "digest.isEnabled": false },
+      { timestamps: false },
+    );
+    logger.info(`weekly digest unsubscribed for username: ${username}`);
+  } catch (e) {
+    logger.error(e, `failed to unsubscribe weekly digest for: ${username}`);
+    return { status: 500, data: { error: "Unsubscribe failed" } };
+  }
+
+  return { status: 200, data: { isUnsubscribed: true } };
+}
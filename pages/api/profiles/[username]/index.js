@@ -4,10 +4,23 @@ import { ObjectId } from "bson";
 
 import connectMongo from "@config/mongo";
 import logger from "@config/logger";
-import { Profile, Stats, ProfileStats, User } from "@models/index";
+import { Profile, User } from "@models/index";
 
 import getLocation from "@services/github/getLocation";
 import dateFormat from "@services/utils/dateFormat";
+import { isLinkLive } from "@services/utils/link/schedule";
+import { heldStatuses } from "@services/links/safety";
+import getCountryCode from "@services/geo/country";
+import getBotReason from "@services/stats/bots";
+import classifyReferer, {
+  getCampaign,
+  setVisitSource,
+  toStatsKey,
+} from "@services/stats/referers";
+import isNewVisitor from "@services/stats/visitors";
+import { incrementStats } from "@services/stats/buffer";
+import { isLiveWatched, publishLiveEvent } from "@services/stats/live";
+import { pickVariant, variantKey } from "@services/stats/variants";
 
 export default async function handler(req, res) {
   const username = req.query.username;
@@ -29,6 +42,7 @@ export async function getUserApi(req, res, username, options = {}) {
   if (session && session.username === username) {
     isOwner = true;
   }
+  const botReason = isOwner ? null : getBotReason(req.headers);
 
   let getProfile = await Profile.findOne({ username, isEnabled: true });
 
@@ -42,21 +56,12 @@ export async function getUserApi(req, res, username, options = {}) {
     };
   }
 
-  let ipLookupProm;
-  if (options.ip && !options.ip.match(/127\.0\.0\.1/)) {
-    try {
-      ipLookupProm = fetch(`https://api.iplocation.net/?ip=${options.ip}`);
-    } catch (e) {
-      log.error(e, `failed to get country for ip: ${options.ip}`);
-    }
-  }
-
+  const isWatched = isLiveWatched(getProfile);
   let checks = [];
 
   checks.push(getLocation(username, getProfile));
   await Promise.allSettled(checks);
 
-  const log = logger.child({ username });
   getProfile = await Profile.aggregate([
     {
       $match: { username },
@@ -95,14 +100,20 @@ export async function getUserApi(req, res, username, options = {}) {
         from: "links",
         localField: "links",
         foreignField: "_id",
+        // links waiting for or failing a review are not shown
+        pipeline: [{ $match: { "safety.status": { $nin: heldStatuses } } }],
         as: "links",
       },
     },
     {
       $project: {
         __v: 0,
+        digest: 0,
+        live: 0,
         "links.__v": 0,
         "links.clicks": 0,
+        "links.health": 0,
+        "links.safety": 0,
         "links.createdAt": 0,
         "links.updatedAt": 0,
         "testimonials.isPinned": 0,
@@ -111,15 +122,17 @@ export async function getUserApi(req, res, username, options = {}) {
   ]);
   getProfile = getProfile[0];
 
+  const now = new Date();
+
   getProfile = {
     ...getProfile,
     links: getProfile.links
-      .filter((link) => link.isEnabled)
+      .filter((link) => link.isEnabled && isLinkLive(link, now))
       .sort(
         (a, b) => (a.order ?? Number.MAX_VALUE) - (b.order ?? Number.MAX_VALUE),
       ),
     socials: getProfile.links
-      .filter((link) => link.isPinned)
+      .filter((link) => link.isPinned && isLinkLive(link, now))
       .sort(
         (a, b) => (a.order ?? Number.MAX_VALUE) - (b.order ?? Number.MAX_VALUE),
       )
@@ -130,6 +143,19 @@ export async function getUserApi(req, res, username, options = {}) {
       })),
   };
 
+  // links with alternate names show one of them, always the same per visitor
+  const visitor = { ip: options.ip, userAgent: req.headers["user-agent"] };
+  let variantViews = [];
+  getProfile.links = getProfile.links.map(({ variants, ...link }) => {
+    if (!variants?.length) {
+      return link;
+    }
+
+    const name = pickVariant({ ...link, variants }, visitor);
+    variantViews.push({ link: link._id, name });
+    return { ...link, name };
+  });
+
   let getUser = {};
   if (getProfile.user) {
     getUser = await User.findOne({ _id: new ObjectId(getProfile.user) });
@@ -180,112 +206,86 @@ export async function getUserApi(req, res, username, options = {}) {
     getProfile.events = [];
   }
 
+  // writes are buffered and coalesced, see `services/stats/buffer`
   let updates = [];
   const date = today;
   date.setHours(1, 0, 0, 0);
 
-  if (!isOwner) {
+  if (!isOwner && !botReason) {
+    const visit = classifyReferer(options.referer);
+    if (res) {
+      setVisitSource(res, username, visit.source);
+    }
     updates.push(
-      (async () => {
-        try {
-          await Stats.updateOne(
-            {
-              date,
-            },
-            {
-              $inc: { users: 1 },
-            },
-            { upsert: true },
-          );
-          log.info(`app profile stats incremented for username: ${username}`);
-        } catch (e) {
-          log.error(e, `app profile stats failed for ${username}`);
-        }
-      })(),
+      incrementStats("Stats", { date }, { users: 1 }, { upsert: true }),
     );
+    if (isWatched) {
+      updates.push(
+        publishLiveEvent(username, { type: "view", source: visit.source }),
+      );
+    }
 
     let increment = { views: 1 };
     if (options.referer) {
-      const referer = new URL(options.referer);
-      increment[`stats.referers.${referer.hostname.replaceAll(".", "|")}`] = 1;
-    }
-    if (options.ip && !options.ip.match(/127\.0\.0\.1/)) {
       try {
-        const ipLookupRes = await ipLookupProm;
-        const ipLookup = await ipLookupRes.json();
-        increment[`stats.countries.${ipLookup.country_code2}`] = 1;
+        const referer = new URL(options.referer);
+        increment[`stats.referers.${referer.hostname.replaceAll(".", "|")}`] =
+          1;
       } catch (e) {
-        increment[`stats.countries.-`] = 1;
-        log.error(e, `failed to get country for ip: ${options.ip}`);
+        logger.error(e, `invalid referer for username: ${username}`);
       }
     }
+    const country = await getCountryCode(options.ip);
+    if (country) {
+      increment[`stats.countries.${country}`] = 1;
+    }
 
     updates.push(
-      (async () => {
-        try {
-          await Profile.updateOne(
-            {
-              username,
-            },
-            {
-              $inc: increment,
-            },
-            { timestamps: false },
-          );
-          log.info(`stats incremented for username: ${username}`);
-        } catch (e) {
-          log.error(
-            e,
-            `failed to increment profile total stats for username: ${username}`,
-          );
-        }
-      })(),
+      incrementStats("Profile", { username }, increment, { timestamps: false }),
     );
 
+    const newVisitor = await isNewVisitor({
+      username,
+      date,
+      ip: options.ip,
+      userAgent: req.headers["user-agent"],
+    });
+
     updates.push(
-      (async () => {
-        try {
-          await ProfileStats.updateOne(
-            {
-              username: username,
-              date,
-            },
-            {
-              $inc: increment,
-            },
-            { upsert: true },
-          );
-          log.info(`profile daily stats incremented for username: ${username}`);
-        } catch (e) {
-          log.error(
-            e,
-            "failed to increment profile daily stats for username: ${username}",
-          );
-        }
-      })(),
+      incrementStats(
+        "ProfileStats",
+        { username, date },
+        {
+          ...increment,
+          ...getSourceIncrement(visit, options.query),
+          ...(newVisitor && { visitors: 1 }),
+          [`hours.${now.getHours()}`]: 1,
+        },
+        { upsert: true },
+      ),
+    );
+
+    variantViews.forEach(({ link, name }) =>
+      updates.push(
+        incrementStats(
+          "LinkStats",
+          { username, date, link: new ObjectId(link) },
+          { [`stats.variantViews.${variantKey(name)}`]: 1 },
+          { upsert: true },
+        ),
+      ),
     );
   }
 
   updates.push(
-    (async () => {
-      try {
-        await Stats.updateOne(
-          {
-            date,
-          },
-          {
-            $inc: { views: 1 },
-          },
-          { upsert: true },
-        );
-        log.info(`app daily stats incremented for username: ${username}`);
-      } catch (e) {
-        log.error(
-          e,
-          `failed incrementing platform stats for username: ${username}`,
-        );
-      }
-    })(),
+    incrementStats(
+      "Stats",
+      { date },
+      botReason
+        ? { "bots.users": 1, [`bots.reasons.${botReason}`]: 1 }
+        : { views: 1 },
+      { upsert: true },
+    ),
   );
 
   await Promise.allSettled(updates);
@@ -297,3 +297,19 @@ export async function getUserApi(req, res, username, options = {}) {
     }),
   );
 }
+
+// daily only stats of where the visit came from
+function getSourceIncrement({ source, channel }, query) {
+  let increment = {
+    [`stats.sources.${toStatsKey(source)}`]: 1,
+    [`stats.channels.${channel}`]: 1,
+  };
+
+  Object.entries(getCampaign(query)).forEach(([key, value]) => {
+    if (value) {
+      increment[`stats.${key}.${value}`] = 1;
+    }
+  });
+
+  return increment;
+}
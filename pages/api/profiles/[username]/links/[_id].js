@@ -1,16 +1,27 @@
 import { authOptions } from "pages/api/auth/[...nextauth]";
 import { getServerSession } from "next-auth/next";
 import { ObjectId } from "bson";
+import requestIp from "request-ip";
 
 import connectMongo from "@config/mongo";
 import logger from "@config/logger";
-import { Link, LinkStats, Stats } from "@models/index";
+import { Link, Profile } from "@models/index";
+import { getLinkSchedule } from "@services/utils/link/schedule";
+import { getTaggedUrl } from "@services/utils/link/utm";
+import { formatSlug } from "@services/utils/link/slug";
+import { isLinkHeld } from "@services/links/safety";
+import getCountryCode from "@services/geo/country";
+import getDeviceClass from "@services/stats/device";
+import getBotReason from "@services/stats/bots";
+import { incrementStats } from "@services/stats/buffer";
+import { isLiveWatched, publishLiveEvent } from "@services/stats/live";
+import { getVisitSource } from "@services/stats/referers";
+import { pickVariant, variantKey } from "@services/stats/variants";
 
 export default async function handler(req, res) {
   await connectMongo();
 
   const { username, _id } = req.query;
-  const session = await getServerSession(req, res, authOptions);
 
   if (req.method != "GET") {
     return res
@@ -32,59 +43,119 @@ export default async function handler(req, res) {
     return res.status(404).json({ error: customError });
   }
 
-  if (session && session.username === username) {
-    return res.status(200).redirect(link.url);
-  }
+  return res.redirect(await followLinkApi(req, res, username, link));
+}
 
-  const date = new Date();
-  date.setHours(1, 0, 0, 0);
+// resolves a short alias, eg. `/eddiejaoude/go/slides`
+export async function getLinkBySlugApi(username, slug) {
+  await connectMongo();
 
+  let link = null;
   try {
-    await Stats.findOneAndUpdate(
-      {
-        date,
-      },
-      {
-        $inc: { clicks: 1 },
-      },
-      { upsert: true },
-    );
+    link = await Link.findOne({
+      username,
+      slug: formatSlug(slug),
+      isEnabled: true,
+    });
   } catch (e) {
-    logger.error(
-      e,
-      `failed incrementing ${date} platform stats for ${username}`,
-    );
+    logger.error(e, `failed loading alias ${slug} for username: ${username}`);
   }
 
+  return link;
+}
+
+// records the click and returns where the visitor should be sent
+export async function followLinkApi(req, res, username, link) {
+  const session = await getServerSession(req, res, authOptions);
+  const _id = link._id.toString();
+
+  let url = link.url;
+  let profile = null;
   try {
-    await LinkStats.findOneAndUpdate(
-      {
-        username,
-        date,
-        link: new ObjectId(_id),
-      },
-      {
-        $inc: { clicks: 1 },
-      },
-      { upsert: true, new: true },
-    );
+    profile = await Profile.findOne({ username }, "utm live");
+    url = getTaggedUrl(link, profile?.utm);
   } catch (e) {
-    logger.error(e, `failed incrementing link stats for ${date}`);
+    logger.error(e, `failed loading utm settings for username: ${username}`);
   }
 
-  try {
-    await Link.updateOne(
-      { _id },
-      {
-        $inc: { clicks: 1 },
-      },
-    );
-  } catch (e) {
-    logger.error(
-      e,
-      `failed incrementing link: ${link.url} for username ${username}`,
-    );
+  if (session && session.username === username) {
+    return url;
   }
 
-  return res.status(201).redirect(link.url);
+  if (isLinkHeld(link)) {
+    logger.info(`link ${_id} is held for review for username: ${username}`);
+    return `/${username}/unavailable?schedule=review`;
+  }
+
+  const schedule = getLinkSchedule(link);
+  if (schedule !== "live") {
+    logger.info(`link ${_id} is ${schedule} for username: ${username}`);
+    return `/${username}/unavailable?schedule=${schedule}`;
+  }
+
+  const now = new Date();
+  const date = new Date(now);
+  date.setHours(1, 0, 0, 0);
+  const botReason = getBotReason(req.headers);
+
+  await incrementStats(
+    "Stats",
+    { date },
+    botReason
+      ? { "bots.clicks": 1, [`bots.reasons.${botReason}`]: 1 }
+      : { clicks: 1 },
+    { upsert: true },
+  );
+
+  if (botReason) {
+    logger.info(`bot click (${botReason}) on link ${_id} for ${username}`);
+    return url;
+  }
+
+  const ip = requestIp.getClientIp(req);
+  const source = getVisitSource(req);
+  let increment = {
+    clicks: 1,
+    [`stats.devices.${getDeviceClass(req.headers["user-agent"])}`]: 1,
+    [`stats.sources.${source}`]: 1,
+    [`hours.${now.getHours()}`]: 1,
+  };
+  // only clicks from a profile visit saw one of the names
+  if (link.variants?.length && source !== "-") {
+    const name = pickVariant(link, {
+      ip,
+      userAgent: req.headers["user-agent"],
+    });
+    increment[`stats.variants.${variantKey(name)}`] = 1;
+  }
+  if (req.headers.referer) {
+    try {
+      const referer = new URL(req.headers.referer);
+      increment[`stats.referers.${referer.hostname.replaceAll(".", "|")}`] = 1;
+    } catch (e) {
+      logger.error(e, `invalid referer for link ${_id}`);
+    }
+  }
+  const country = await getCountryCode(ip);
+  if (country) {
+    increment[`stats.countries.${country}`] = 1;
+  }
+
+  await Promise.all([
+    incrementStats(
+      "LinkStats",
+      { username, date, link: new ObjectId(_id) },
+      increment,
+      { upsert: true },
+    ),
+    incrementStats("Link", { _id: new ObjectId(_id) }, { clicks: 1 }),
+    isLiveWatched(profile) &&
+      publishLiveEvent(username, {
+        type: "click",
+        name: link.name,
+        url: link.url,
+      }),
+  ]);
+
+  return url;
 }
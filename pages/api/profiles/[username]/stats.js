@@ -0,0 +1,84 @@
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Link, Profile } from "@models/index";
+import { getProfileViewsPerDay } from "pages/api/account/statistics";
+import { isLinkLive } from "@services/utils/link/schedule";
+import { heldStatuses } from "@services/links/safety";
+
+const publicDays = 30;
+const maxLinks = 10;
+
+export default async function handler(req, res) {
+  if (req.method != "GET") {
+    return res
+      .status(400)
+      .json({ error: "Invalid request: GET request required" });
+  }
+
+  const { status, stats } = await getPublicStatsApi(req.query.username);
+  return res.status(status).json(stats);
+}
+
+// statistics of profiles that made them public, without any details of
+// individual visits such as referer urls
+export async function getPublicStatsApi(username) {
+  await connectMongo();
+
+  let profile;
+  try {
+    profile = await Profile.findOne(
+      { username, isEnabled: true, isStatsPublic: true },
+      "username name views stats.countries",
+    );
+  } catch (e) {
+    logger.error(e, `failed loading public stats for username: ${username}`);
+  }
+
+  if (!profile) {
+    return {
+      status: 404,
+      stats: { error: `public statistics for ${username} not found` },
+    };
+  }
+
+  const daily = await getProfileViewsPerDay(username, publicDays);
+
+  let links = [];
+  try {
+    links = await Link.find(
+      { username, isEnabled: true, "safety.status": { $nin: heldStatuses } },
+      "name url clicks startsAt endsAt",
+    ).sort({ clicks: -1 });
+  } catch (e) {
+    logger.error(e, `failed loading public link stats for: ${username}`);
+  }
+
+  const countries = Object.entries(
+    Object.fromEntries(profile.stats?.countries || []),
+  )
+    .map(([name, value]) => ({ name, value }))
+    .sort((a, b) => b.value - a.value);
+
+  return JSON.parse(
+    JSON.stringify({
+      status: 200,
+      stats: {
+        username: profile.username,
+        name: profile.name,
+        total: profile.views,
+        days: publicDays,
+        views: daily.reduce((acc, day) => acc + (day.views || 0), 0),
+        daily: daily.map((day) => ({ date: day.date, views: day.views })),
+        links: links
+          .filter((link) => isLinkLive(link))
+          .slice(0, maxLinks)
+          .map((link) => ({
+            name: link.name,
+            url: link.url,
+            value: link.clicks,
+          })),
+        countries,
+      },
+    }),
+  );
+}
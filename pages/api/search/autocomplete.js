@@ -0,0 +1,104 @@
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Profile } from "@models/index";
+import { getTags } from "../discover/tags";
+import { fuzzyMatches } from "@services/utils/search/fuzzy";
+
+const cacheMinutes = 5;
+const maxSuggestions = 5;
+
+let tagVocabulary = { tags: [], expiresAt: 0 };
+
+export default async function handler(req, res) {
+  if (req.method != "GET") {
+    return res
+      .status(400)
+      .json({ error: "Invalid request: GET request required" });
+  }
+
+  const { q } = req.query;
+  if (!q || !q.trim()) {
+    return res
+      .status(400)
+      .json({ error: "Invalid request: search input is required" });
+  }
+
+  const suggestions = await getAutocompleteApi(q);
+  return res.status(200).json(suggestions);
+}
+
+// tags are aggregated over all profiles so keep them in memory for a while
+export async function getTagVocabulary() {
+  if (tagVocabulary.expiresAt > Date.now()) {
+    return tagVocabulary.tags;
+  }
+
+  const tags = await getTags();
+  if (tags.length) {
+    tagVocabulary = {
+      tags,
+      expiresAt: Date.now() + cacheMinutes * 60 * 1000,
+    };
+  }
+
+  return tags;
+}
+
+export async function getAutocompleteApi(q) {
+  await connectMongo();
+  const term = q.trim().toLowerCase();
+  const regex = new RegExp(
+    `^${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`,
+    "i",
+  );
+
+  let profiles = [];
+  try {
+    profiles = await Profile.find(
+      {
+        isEnabled: true,
+        $and: [
+          { $or: [{ username: regex }, { name: regex }] },
+          {
+            $or: [
+              { isShadowBanned: { $exists: false } },
+              { isShadowBanned: { $eq: false } },
+            ],
+          },
+        ],
+      },
+      ["username", "name", "-_id"],
+    )
+      .sort({ views: -1 })
+      .limit(maxSuggestions * 2);
+  } catch (e) {
+    logger.error(e, `failed to autocomplete profiles for: ${term}`);
+  }
+
+  let tags = [];
+  try {
+    const vocabulary = await getTagVocabulary();
+    tags = vocabulary
+      .filter((tag) => tag.name.startsWith(term))
+      .slice(0, maxSuggestions);
+
+    // nothing starts with the term, so it might be a typo
+    if (!tags.length) {
+      tags = fuzzyMatches(term, vocabulary, maxSuggestions);
+    }
+  } catch (e) {
+    logger.error(e, `failed to autocomplete tags for: ${term}`);
+  }
+
+  return {
+    usernames: profiles
+      .filter((profile) => regex.test(profile.username))
+      .slice(0, maxSuggestions)
+      .map((profile) => profile.username),
+    names: profiles
+      .filter((profile) => regex.test(profile.name))
+      .slice(0, maxSuggestions)
+      .map((profile) => profile.name),
+    tags: tags.map((tag) => ({ name: tag.name, total: tag.total })),
+  };
+}
@@ -1,10 +1,24 @@
+import { ObjectId } from "bson";
+
 import connectMongo from "@config/mongo";
-import { getProfiles } from "../profiles";
 import logger from "@config/logger";
+import { Profile } from "@models/index";
+import { getTagVocabulary } from "./autocomplete";
+import { decodeCursor, encodeCursor } from "@services/utils/search/cursor";
+import { didYouMean } from "@services/utils/search/fuzzy";
+import {
+  defaultSearchFilters,
+  hasSearchFilters,
+  parseSearchFilters,
+  updatedWithinDays,
+} from "@services/utils/search/filters";
+
+const defaultLimit = 21;
+const maxLimit = 100;
+const maxFacetValues = 20;
 
 export default async function handler(req, res) {
-  await connectMongo();
-  const { slug } = req.query;
+  const { slug, cursor, limit } = req.query;
 
   if (req.method != "GET") {
     return res
@@ -12,49 +26,311 @@ export default async function handler(req, res) {
       .json({ error: "Invalid request: GET request required" });
   }
 
-  if (!slug) {
+  const filters = parseSearchFilters(req.query);
+  if (!slug && !hasSearchFilters(filters)) {
     return res
       .status(400)
       .json({ error: "Invalid request: search input is required" });
   }
 
+  const { status, data } = await getSearchApi(slug, {
+    cursor,
+    limit,
+    filters,
+  });
+  return res.status(status).json(data);
+}
+
+export async function getSearchApi(slug = "", options = {}) {
+  await connectMongo();
+
   const cleanedSlug = slug
     .trim()
     .replace(/\s{2,}/g, " ")
     .toLowerCase();
-  const terms = cleanedSlug.split(",");
-  let filteredUsers = [];
+  const terms = cleanedSlug
+    .split(",")
+    .map((term) => term.replaceAll('"', "").trim())
+    .filter((term) => term);
+  const filters = { ...defaultSearchFilters, ...options.filters };
+  const limit = Math.min(
+    Math.max(parseInt(options.limit) || defaultLimit, 1),
+    maxLimit,
+  );
 
-  try {
-    const users = await getProfiles();
-
-    filteredUsers = users.flat().filter((user) => {
-      const nameLower = user.name.toLowerCase();
-      const usernameLower = user.username.toLowerCase();
-      const userTagsString = user.tags.join(", ").toLowerCase();
-      const userLocationString = user.location
-        ? user.location.provided.toLowerCase()
-        : "";
-
-      const isUserMatched = terms.every((term) => {
-        const cleanedTerm = term.trim();
-
-        return (
-          usernameLower.includes(cleanedTerm) ||
-          nameLower.includes(cleanedTerm) ||
-          userTagsString.includes(cleanedTerm) ||
-          userLocationString.includes(cleanedTerm)
-        );
-      });
-      return isUserMatched;
-    });
+  if (!terms.length && !hasSearchFilters(filters)) {
+    return {
+      status: 400,
+      data: { error: "Invalid request: search input is required" },
+    };
+  }
 
-    if (!filteredUsers.length) {
-      return res.status(404).json({ error: `${cleanedSlug} not found` });
+  let cursor = null;
+  if (options.cursor) {
+    cursor = decodeCursor(options.cursor);
+    if (!cursor) {
+      return { status: 400, data: { error: "Invalid request: bad cursor" } };
     }
+  }
 
-    res.status(200).json({ users: filteredUsers });
+  const visible = {
+    name: { $exists: true },
+    isEnabled: true,
+    $or: [
+      { isShadowBanned: { $exists: false } },
+      { isShadowBanned: { $eq: false } },
+    ],
+  };
+  if (filters.updatedWithin) {
+    const updatedSince = new Date();
+    updatedSince.setDate(updatedSince.getDate() - filters.updatedWithin);
+    visible.updatedAt = { $gte: updatedSince };
+  }
+
+  let result = { users: [], total: 0, nextCursor: null, facets: {} };
+  try {
+    if (!terms.length) {
+      result = await searchProfiles(visible, false, filters, cursor, limit);
+    } else {
+      // every comma separated term is a phrase, so all of them must match
+      const textMatch = {
+        ...visible,
+        $text: { $search: terms.map((term) => `"${term}"`).join(" ") },
+      };
+      result = await searchProfiles(textMatch, true, filters, cursor, limit);
+
+      // text index only matches whole words, fallback to partial matches
+      if (result.total === 0) {
+        result = await searchProfiles(
+          { ...visible, $and: terms.map(partialMatch) },
+          false,
+          filters,
+          cursor,
+          limit,
+        );
+      }
+    }
   } catch (e) {
     logger.error(e, "ERROR fetch search users");
+    return { status: 500, data: { error: "Search failed" } };
   }
+
+  if (!result.total) {
+    let suggestion = null;
+    if (terms.length) {
+      try {
+        suggestion = didYouMean(terms, await getTagVocabulary());
+      } catch (e) {
+        logger.error(e, `failed to get suggestion for: ${cleanedSlug}`);
+      }
+    }
+
+    return {
+      status: 404,
+      data: { error: `${cleanedSlug || "search"} not found`, suggestion },
+    };
+  }
+
+  return { status: 200, data: JSON.parse(JSON.stringify(result)) };
+}
+
+function partialMatch(term) {
+  const regex = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+  return {
+    $or: [
+      { username: regex },
+      { name: regex },
+      { tags: regex },
+      { "location.provided": regex },
+    ],
+  };
+}
+
+function facetFields(now) {
+  const upcoming = (cond = true) => ({
+    $gt: [
+      {
+        $size: {
+          $filter: {
+            input: { $ifNull: ["$events", []] },
+            as: "event",
+            cond: {
+              $and: [
+                { $gt: ["$$event.date.end", now] },
+                { $ne: ["$$event.isEnabled", false] },
+                cond,
+              ],
+            },
+          },
+        },
+      },
+      0,
+    ],
+  });
+
+  return {
+    tagsLower: {
+      $map: {
+        input: { $ifNull: ["$tags", []] },
+        in: { $toLower: "$$this" },
+      },
+    },
+    // location name is "city, region, country" from open street map
+    country: {
+      $toLower: {
+        $trim: {
+          input: {
+            $arrayElemAt: [
+              { $split: [{ $ifNull: ["$location.name", "unknown"] }, ","] },
+              -1,
+            ],
+          },
+        },
+      },
+    },
+    hasUpcomingEvents: upcoming(),
+    isSpeaking: upcoming({ $eq: ["$$event.isSpeaking", true] }),
+    hasRepos: { $gt: [{ $size: { $ifNull: ["$repos", []] } }, 0] },
+    isPremium: { $in: ["premium", "$account.type"] },
+  };
+}
+
+function facetMatch(filters) {
+  const match = {};
+  if (filters.tags.length) {
+    match.tagsLower =
+      filters.tagMode === "or" ? { $in: filters.tags } : { $all: filters.tags };
+  }
+  if (filters.country) {
+    match.country = filters.country;
+  }
+  if (filters.upcomingEvents) {
+    match.hasUpcomingEvents = true;
+  }
+  if (filters.speaking) {
+    match.isSpeaking = true;
+  }
+  if (filters.hasRepos) {
+    match.hasRepos = true;
+  }
+  if (filters.premium) {
+    match.isPremium = true;
+  }
+
+  return match;
+}
+
+async function searchProfiles(match, isText, filters, cursor, limit) {
+  const now = new Date();
+  const results = [];
+  if (cursor) {
+    results.push({
+      $match: {
+        $or: [
+          { score: { $lt: cursor.score } },
+          { score: cursor.score, _id: { $gt: new ObjectId(cursor._id) } },
+        ],
+      },
+    });
+  }
+  results.push(
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit + 1 },
+    {
+      $project: {
+        username: 1,
+        name: 1,
+        bio: 1,
+        tags: 1,
+        location: 1,
+        score: 1,
+      },
+    },
+  );
+
+  const updatedCounts = {};
+  updatedWithinDays.forEach((days) => {
+    const since = new Date(now);
+    since.setDate(since.getDate() - days);
+    updatedCounts[`updated${days}`] = {
+      $sum: { $cond: [{ $gte: ["$updatedAt", since] }, 1, 0] },
+    };
+  });
+
+  const [data] = await Profile.aggregate([
+    { $match: match },
+    {
+      $addFields: { score: isText ? { $meta: "textScore" } : { $literal: 0 } },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "user",
+        foreignField: "_id",
+        as: "account",
+      },
+    },
+    { $addFields: facetFields(now) },
+    { $match: facetMatch(filters) },
+    {
+      $facet: {
+        results,
+        total: [{ $count: "total" }],
+        tags: [
+          { $unwind: "$tagsLower" },
+          { $group: { _id: "$tagsLower", total: { $sum: 1 } } },
+          { $sort: { total: -1, _id: 1 } },
+          { $limit: maxFacetValues },
+        ],
+        countries: [
+          { $match: { country: { $nin: ["", "unknown"] } } },
+          { $group: { _id: "$country", total: { $sum: 1 } } },
+          { $sort: { total: -1, _id: 1 } },
+          { $limit: maxFacetValues },
+        ],
+        flags: [
+          {
+            $group: {
+              _id: null,
+              upcomingEvents: { $sum: { $cond: ["$hasUpcomingEvents", 1, 0] } },
+              speaking: { $sum: { $cond: ["$isSpeaking", 1, 0] } },
+              hasRepos: { $sum: { $cond: ["$hasRepos", 1, 0] } },
+              premium: { $sum: { $cond: ["$isPremium", 1, 0] } },
+              ...updatedCounts,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const page = data.results.slice(0, limit);
+  const nextCursor =
+    data.results.length > limit ? encodeCursor(page[page.length - 1]) : null;
+  page.forEach((user) => {
+    delete user._id;
+    delete user.score;
+  });
+
+  const flags = data.flags[0] || {};
+  return {
+    users: page,
+    total: data.total[0]?.total || 0,
+    nextCursor,
+    facets: {
+      tags: data.tags.map((tag) => ({ name: tag._id, total: tag.total })),
+      countries: data.countries.map((country) => ({
+        name: country._id,
+        total: country.total,
+      })),
+      upcomingEvents: flags.upcomingEvents || 0,
+      speaking: flags.speaking || 0,
+      hasRepos: flags.hasRepos || 0,
+      premium: flags.premium || 0,
+      updatedWithin: updatedWithinDays.map((days) => ({
+        days,
+        total: flags[`updated${days}`] || 0,
+      })),
+    },
+  };
 }
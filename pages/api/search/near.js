@@ -0,0 +1,144 @@
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Profile } from "@models/index";
+import geocode from "@services/geo/geocode";
+
+const defaultRadius = 50;
+const maxRadius = 1000;
+const maxLimit = 500;
+
+export default async function handler(req, res) {
+  if (req.method != "GET") {
+    return res
+      .status(400)
+      .json({ error: "Invalid request: GET request required" });
+  }
+
+  const { lat, lon, place, radius, tags, limit } = req.query;
+  if (!place && (lat === undefined || lon === undefined)) {
+    return res.status(400).json({
+      error: "Invalid request: a place or lat and lon coordinates are required",
+    });
+  }
+
+  const { status, data } = await getNearApi({
+    lat,
+    lon,
+    place,
+    radius,
+    tags,
+    limit,
+  });
+  return res.status(status).json(data);
+}
+
+export async function getNearApi(options = {}) {
+  await connectMongo();
+
+  let origin = {
+    name: null,
+    lat: parseFloat(options.lat),
+    lon: parseFloat(options.lon),
+  };
+  if (options.place) {
+    try {
+      origin = await geocode(options.place);
+    } catch (e) {
+      return { status: 502, data: { error: "Place lookup failed" } };
+    }
+    if (!origin) {
+      return { status: 404, data: { error: `${options.place} not found` } };
+    }
+  }
+
+  if (
+    isNaN(origin.lat) ||
+    isNaN(origin.lon) ||
+    Math.abs(origin.lat) > 90 ||
+    Math.abs(origin.lon) > 180
+  ) {
+    return {
+      status: 400,
+      data: { error: "Invalid request: coordinates out of range" },
+    };
+  }
+
+  const radius = Math.min(
+    Math.max(parseFloat(options.radius) || defaultRadius, 1),
+    maxRadius,
+  );
+  const limit = Math.min(Math.max(parseInt(options.limit) || 100, 1), maxLimit);
+  const tags = (options.tags || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter((tag) => tag);
+
+  const query = {
+    isEnabled: true,
+    $or: [
+      { isShadowBanned: { $exists: false } },
+      { isShadowBanned: { $eq: false } },
+    ],
+  };
+  if (tags.length) {
+    query.tags = {
+      $in: tags.map(
+        (tag) =>
+          new RegExp(`^${tag.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i"),
+      ),
+    };
+  }
+
+  let users = [];
+  try {
+    users = await Profile.aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: [origin.lon, origin.lat] },
+          key: "location.point",
+          distanceField: "distance",
+          maxDistance: radius * 1000,
+          spherical: true,
+          query,
+        },
+      },
+      // one extra result tells us whether there are more than `limit`
+      { $limit: limit + 1 },
+      {
+        $project: {
+          _id: 0,
+          username: 1,
+          name: 1,
+          bio: 1,
+          tags: 1,
+          "location.provided": 1,
+          "location.name": 1,
+          distance: { $round: [{ $divide: ["$distance", 1000] }, 1] },
+        },
+      },
+    ]);
+  } catch (e) {
+    logger.error(
+      e,
+      `failed to search profiles near: ${origin.lat},${origin.lon}`,
+    );
+    return { status: 500, data: { error: "Search failed" } };
+  }
+
+  const isTruncated = users.length > limit;
+  users = users.slice(0, limit);
+
+  return {
+    status: 200,
+    data: JSON.parse(
+      JSON.stringify({
+        origin,
+        radius,
+        limit,
+        isTruncated,
+        total: users.length,
+        users,
+      }),
+    ),
+  };
+}
@@ -0,0 +1,67 @@
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Profile, User } from "@models/index";
+import isSystemRequest from "@services/auth/system";
+import sendMail from "@services/mail/send";
+import { buildDigest, digestDays, renderDigest } from "@services/stats/digest";
+
+const maxDigestsPerRun = 500;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" || !isSystemRequest(req)) {
+    logger.error("attempt to send the weekly digest but security check failed");
+    return res.status(401).json({ error: "ONLY system calls allowed" });
+  }
+  await connectMongo();
+
+  // a little less than a week, so the cron time can move a bit
+  const sentBefore = new Date();
+  sentBefore.setDate(sentBefore.getDate() - digestDays + 1);
+
+  let profiles = [];
+  try {
+    profiles = await Profile.find({
+      isEnabled: true,
+      "digest.isEnabled": true,
+      user: { $exists: true },
+      $or: [
+        { "digest.lastSentAt": { $exists: false } },
+        { "digest.lastSentAt": { $lt: sentBefore } },
+      ],
+    }).limit(maxDigestsPerRun);
+  } catch (e) {
+    logger.error(e, "failed to load profiles for the weekly digest");
+    return res.status(500).json({ error: "failed to load profiles" });
+  }
+  logger.info(`sending weekly digest to ${profiles.length} profiles`);
+
+  let sent = 0;
+  let failed = 0;
+  for (const profile of profiles) {
+    const log = logger.child({ username: profile.username });
+    try {
+      const user = await User.findById(profile.user, "email");
+      if (!user?.email) {
+        log.info("no email address for the weekly digest");
+        continue;
+      }
+
+      const digest = await buildDigest(profile);
+      await sendMail({ to: user.email, ...renderDigest(digest) });
+      await Profile.updateOne(
+        { _id: profile._id },
+        {
+          "digest.lastSentAt": new Date(),
+          "digest.lastRank": digest.rank,
+        },
+        { timestamps: false },
+      );
+      sent++;
+    } catch (e) {
+      log.error(e, "failed to send the weekly digest");
+      failed++;
+    }
+  }
+
+  return res.status(200).json({ profiles: profiles.length, sent, failed });
+}
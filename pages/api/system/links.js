@@ -0,0 +1,63 @@
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Link } from "@models/index";
+import isSystemRequest from "@services/auth/system";
+import { checkLinks } from "@services/links/health";
+
+const recheckHours = 20;
+const maxLinksPerRun = 100;
+// links are only started within this time, leaving the function time limit
+// for the checks already running
+const runSeconds = 40;
+
+export const config = {
+  maxDuration: 60,
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" || !isSystemRequest(req)) {
+    logger.error("attempt to check links but security check failed");
+    return res.status(401).json({ error: "ONLY system calls allowed" });
+  }
+  await connectMongo();
+
+  // `?username=eddiejaoude` only checks that profile, links checked recently
+  // are still skipped
+  const { username } = req.query;
+  const checkedBefore = new Date();
+  checkedBefore.setHours(checkedBefore.getHours() - recheckHours);
+
+  let links = [];
+  try {
+    links = await Link.find(
+      {
+        isEnabled: true,
+        url: /^https?:\/\//i,
+        ...(username && { username }),
+        $or: [
+          { "health.checkedAt": { $exists: false } },
+          { "health.checkedAt": { $lt: checkedBefore } },
+        ],
+      },
+      "username url",
+    )
+      .sort({ "health.checkedAt": 1 })
+      .limit(maxLinksPerRun);
+  } catch (e) {
+    logger.error(e, "failed to load links to check");
+    return res.status(500).json({ error: "failed to load links" });
+  }
+  logger.info(`checking ${links.length} links`);
+
+  const results = (
+    await checkLinks(links, Date.now() + runSeconds * 1000)
+  ).filter(Boolean);
+  if (results.length < links.length) {
+    logger.info(`${links.length - results.length} links left for next run`);
+  }
+
+  return res.status(200).json({
+    links: results.length,
+    broken: results.filter((result) => !result.isOk).length,
+  });
+}
@@ -0,0 +1,45 @@
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { Profile } from "@models/index";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(400).json({ error: "Get requests only" });
+  }
+  await connectMongo();
+
+  logger.info("add geo points to profiles that only have lat and lon");
+
+  let result = {};
+  try {
+    result = await Profile.updateMany(
+      {
+        "location.point": { $exists: false },
+        "location.lat": { $exists: true, $nin: [null, 0] },
+        "location.lon": { $exists: true, $nin: [null, 0] },
+        "location.name": { $ne: "unknown" },
+      },
+      [
+        {
+          $set: {
+            "location.point": {
+              type: "Point",
+              coordinates: [
+                { $toDouble: "$location.lon" },
+                { $toDouble: "$location.lat" },
+              ],
+            },
+          },
+        },
+      ],
+      { timestamps: false },
+    );
+  } catch (e) {
+    logger.error(e, "failed to add geo points to profiles");
+    return res.status(500).json({ error: "failed to add geo points" });
+  }
+
+  return res.status(200).json({
+    profiles: result.modifiedCount,
+  });
+}
@@ -0,0 +1,41 @@
+import connectMongo from "@config/mongo";
+import logger from "@config/logger";
+import { serverEnv } from "@config/schemas/serverSchema";
+import isSystemRequest from "@services/auth/system";
+import {
+  defaultRollupAfterDays,
+  rollupCutoff,
+  rollupLinkStats,
+  rollupProfileStats,
+} from "@services/stats/rollup";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" || !isSystemRequest(req)) {
+    logger.error("attempt to rollup stats but security check failed");
+    return res.status(401).json({ error: "ONLY system calls allowed" });
+  }
+  await connectMongo();
+
+  const cutoff = rollupCutoff(
+    parseInt(serverEnv.STATS_ROLLUP_AFTER_DAYS) || defaultRollupAfterDays,
+  );
+  logger.info(`rollup daily stats before ${cutoff.toDateString()}`);
+
+  let profiles = {};
+  try {
+    profiles = await rollupProfileStats(cutoff);
+  } catch (e) {
+    logger.error(e, "failed to rollup profile stats");
+    return res.status(500).json({ error: "failed to rollup profile stats" });
+  }
+
+  let links = {};
+  try {
+    links = await rollupLinkStats(cutoff);
+  } catch (e) {
+    logger.error(e, "failed to rollup link stats");
+    return res.status(500).json({ error: "failed to rollup link stats" });
+  }
+
+  return res.status(200).json({ cutoff, profiles, links });
+}
@@ -0,0 +1,111 @@
+import { useState } from "react";
+
+import Button from "@components/Button";
+import PageHead from "@components/PageHead";
+import Page from "@components/Page";
+import { PROJECT_NAME } from "@constants/index";
+import { clientEnv } from "@config/schemas/clientSchema";
+import { isUnsubscribeToken } from "@services/mail/unsubscribe";
+
+// only checks the link, unsubscribing needs the button to be pressed
+export async function getServerSideProps(context) {
+  const { username, token } = context.query;
+
+  if (!username || !token || !isUnsubscribeToken(username, token)) {
+    return { props: { isValid: false } };
+  }
+
+  return {
+    props: {
+      isValid: true,
+      username,
+      token,
+      BASE_URL: clientEnv.NEXT_PUBLIC_BASE_URL,
+    },
+  };
+}
+
+export default function Unsubscribe({ isValid, username, token, BASE_URL }) {
+  const [status, setStatus] = useState(isValid ? "confirm" : "invalid");
+
+  const unsubscribe = async () => {
+    setStatus("loading");
+    try {
+      const res = await fetch(
+        `${BASE_URL}/api/digest/unsubscribe?${new URLSearchParams({
+          username,
+          token,
+        }).toString()}`,
+        { method: "POST" },
+      );
+      setStatus(res.ok ? "unsubscribed" : "failed");
+    } catch (e) {
+      setStatus("failed");
+    }
+  };
+
+  const messages = {
+    confirm: {
+      title: "Unsubscribe from the weekly digest",
+      description: "Stop receiving the weekly statistics email?",
+    },
+    unsubscribed: {
+      title: "You have been unsubscribed",
+      description: "You will no longer receive the weekly statistics email.",
+    },
+    failed: {
+      title: "Unsubscribe failed",
+      description:
+        "Please try again, or turn off the weekly statistics email in your account settings.",
+    },
+    invalid: {
+      title: "Unsubscribe link is not valid",
+      description:
+        "You can turn off the weekly statistics email in your account settings.",
+    },
+  };
+  const { title, description } =
+    messages[status === "loading" ? "confirm" : status];
+
+  return (
+    <>
+      <PageHead
+        title={`${PROJECT_NAME} ${title.toLowerCase()}`}
+        description={description}
+      />
+      <Page>
+        <div className="grid min-h-full place-items-center px-6 py-24 sm:py-32 lg:px-8">
+          <div className="text-center">
+            <h1 className="mt-4 text-3xl font-bold tracking-tight text-primary-high dark:text-primary-low sm:text-5xl">
+              {title}
+            </h1>
+            <p className="m-6 text-base leading-7 text-primary-high dark:text-primary-low">
+              {description}
+            </p>
+            <div className="mt-10 flex items-center justify-center gap-x-6">
+              {["confirm", "loading"].includes(status) && (
+                <Button
+                  primary={true}
+                  onClick={unsubscribe}
+                  disabled={status === "loading"}
+                >
+                  Unsubscribe
+                </Button>
+              )}
+              <Button
+                href="/account/manage/profile"
+                primary={true}
+                aria-label="Go to account settings"
+              >
+                Settings
+              </Button>
+              <Button href="/" aria-label="Back to home">
+                Home
+              </Button>
+            </div>
+          </div>
+        </div>
+      </Page>
+    </>
+  );
+}
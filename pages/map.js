@@ -7,11 +7,17 @@ import Button from "@components/Button";
 import PageHead from "@components/PageHead";
 import Page from "@components/Page";
 import Badge from "@components/Badge";
+import Alert from "@components/Alert";
 import { getTags } from "./api/discover/tags";
 import { getProfiles } from "./api/profiles";
 import config from "@config/app.json";
+import { clientEnv } from "@config/schemas/clientSchema";
+import NearSearch from "@components/search/NearSearch";
 import { PROJECT_NAME } from "@constants/index";
 
+// the map shows every nearby profile, not just the first page of results
+const nearLimit = 500;
+
 //this is required as leaflet is not compatible with SSR
 const DynamicMap = dynamic(() => import("../components/map/Map"), {
   ssr: false,
@@ -84,15 +90,17 @@ export async function getStaticProps() {
   }
 
   return {
-    props: { data },
+    props: { data, BASE_URL: clientEnv.NEXT_PUBLIC_BASE_URL },
     revalidate: pageConfig.revalidateSeconds,
   };
 }
 
-export default function Map({ data }) {
+export default function Map({ data, BASE_URL }) {
   let { users, tags } = data;
   const [filteredUsers, setFilteredUsers] = useState([]);
   const [selectedTags, setSelectedTags] = useState(new Set());
+  const [nearUsernames, setNearUsernames] = useState(null);
+  const [nearTruncated, setNearTruncated] = useState(false);
 
   let results = [];
 
@@ -133,8 +141,23 @@ export default function Map({ data }) {
   const resetFilter = () => {
     setFilteredUsers([]);
     setSelectedTags(new Set());
+    setNearUsernames(null);
+    setNearTruncated(false);
+  };
+
+  const handleNearResults = (data) => {
+    setNearUsernames(data ? data.users.map((user) => user.username) : null);
+    setNearTruncated(!!data?.isTruncated);
   };
 
+  let mapUsers = filteredUsers.length > 0 ? filteredUsers : users;
+  if (nearUsernames) {
+    mapUsers = mapUsers.filter((user) =>
+      nearUsernames.includes(user.properties.username),
+    );
+  }
+  const isFiltered = selectedTags.size > 0 || !!nearUsernames;
+
   let links = [];
   for (let i = 0; i <= 3; i++) {
     for (let j = 0; j <= 3; j++) {
@@ -168,17 +191,11 @@ export default function Map({ data }) {
         </p>
         <div className="flex flex-wrap justify-center mb-4">
           <Badge
-            disable={selectedTags.size == 0 ? true : false}
-            content={
-              filteredUsers.length > 0 ? filteredUsers.length : users.length
-            }
+            disable={!isFiltered}
+            content={mapUsers.length}
             badgeClassName={"translate-x-3 -translate-y-3"}
           >
-            <Button
-              onClick={resetFilter}
-              primary={true}
-              disabled={selectedTags.size == 0 ? true : false}
-            >
+            <Button onClick={resetFilter} primary={true} disabled={!isFiltered}>
               Clear/Reset Filters
             </Button>
           </Badge>
@@ -195,10 +212,22 @@ export default function Map({ data }) {
                 />
               ))}
         </div>
-        <div style={{ height: "min(96vw, 100vh)" }}>
-          <DynamicMap
-            users={filteredUsers.length > 0 ? filteredUsers : users}
+        <div className="mb-4">
+          <NearSearch
+            BASE_URL={BASE_URL}
+            tags={[...selectedTags]}
+            limit={nearLimit}
+            onResults={handleNearResults}
           />
+          {nearTruncated && (
+            <Alert
+              type="warning"
+              message={`Only the nearest ${nearLimit} profiles are shown, reduce the distance to see everyone in the area`}
+            />
+          )}
+        </div>
+        <div style={{ height: "min(96vw, 100vh)" }}>
+          <DynamicMap users={mapUsers} />
         </div>
       </Page>
     </>
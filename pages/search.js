@@ -1,4 +1,4 @@
-import { useEffect, useState, useCallback, useRef } from "react";
+import { useEffect, useState, useRef } from "react";
 import { useRouter } from "next/router";
 import UserHorizontal from "@components/user/UserHorizontal";
 import Alert from "@components/Alert";
@@ -10,23 +10,29 @@ import logger from "@config/logger";
 import Input from "@components/form/Input";
 import { getTags } from "./api/discover/tags";
 import { getProfiles } from "./api/discover/profiles";
-import Pagination from "@components/Pagination";
+import { getSearchApi } from "./api/search";
 import {
   cleanSearchInput,
   searchTagNameInInput,
 } from "@services/utils/search/tags";
+import {
+  defaultSearchFilters,
+  hasSearchFilters,
+  searchFiltersToParams,
+} from "@services/utils/search/filters";
+import SearchFilters from "@components/search/SearchFilters";
+import NearSearch from "@components/search/NearSearch";
 import { PROJECT_NAME } from "@constants/index";
 import Button from "@components/Button";
 
 async function fetchUsersByKeyword(keyword) {
-  const res = await fetch(
-    `${process.env.NEXT_PUBLIC_BASE_URL}/api/search?${new URLSearchParams({
-      slug: keyword,
-    }).toString()}`,
-  );
-
-  const searchData = await res.json();
-  return searchData.users || [];
+  const { data } = await getSearchApi(keyword);
+  return {
+    users: data.users || [],
+    total: data.total || 0,
+    nextCursor: data.nextCursor || null,
+    facets: data.facets || null,
+  };
 }
 
 async function fetchRecentlyUpdatedUsers() {
@@ -49,12 +55,20 @@ export async function getServerSideProps(context) {
   let serverProps = {
     tags: [],
     filteredUsers: [],
+    total: 0,
+    nextCursor: null,
+    facets: null,
     recentlyUpdatedUsers: [],
   };
 
   try {
     if (keyword) {
-      serverProps.filteredUsers = await fetchUsersByKeyword(keyword);
+      const { users, total, nextCursor, facets } =
+        await fetchUsersByKeyword(keyword);
+      serverProps.filteredUsers = users;
+      serverProps.total = total;
+      serverProps.nextCursor = nextCursor;
+      serverProps.facets = facets;
     } else {
       serverProps.recentlyUpdatedUsers = await fetchRecentlyUpdatedUsers();
     }
@@ -70,7 +84,14 @@ export async function getServerSideProps(context) {
 }
 
 export default function Search({
-  data: { tags, recentlyUpdatedUsers, filteredUsers },
+  data: {
+    tags,
+    recentlyUpdatedUsers,
+    filteredUsers,
+    total,
+    nextCursor,
+    facets: initialFacets,
+  },
   BASE_URL,
 }) {
   const { replace, query, pathname } = useRouter();
@@ -79,7 +100,17 @@ export default function Search({
   const [users, setUsers] = useState(
     keyword ? filteredUsers : recentlyUpdatedUsers,
   );
-  const [currentPage, setCurrentPage] = useState(1);
+  const [totalUsers, setTotalUsers] = useState(
+    keyword ? total : recentlyUpdatedUsers.length,
+  );
+  const [cursor, setCursor] = useState(keyword ? nextCursor : null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [filters, setFilters] = useState(defaultSearchFilters);
+  const [facets, setFacets] = useState(keyword ? initialFacets : null);
+  const [suggestion, setSuggestion] = useState(null);
+  const [nearResults, setNearResults] = useState(null);
+  const [autocomplete, setAutocomplete] = useState([]);
+  const autocompleteTimeout = useRef(null);
 
   const searchInputRef = useRef(null);
   const searchTerm = username || keyword || userSearchParam;
@@ -109,8 +140,17 @@ export default function Search({
     };
   }, []);
 
+  const searchUrl = (params) =>
+    `${BASE_URL}/api/search?${new URLSearchParams({
+      ...(searchTerm ? { slug: searchTerm } : {}),
+      ...searchFiltersToParams(filters),
+      ...params,
+    }).toString()}`;
+
   useEffect(() => {
-    if (!searchTerm) {
+    if (!searchTerm && !hasSearchFilters(filters)) {
+      setFacets(null);
+      setSuggestion(null);
       replace(
         {
           pathname,
@@ -121,31 +161,30 @@ export default function Search({
       return;
     }
 
-    async function fetchUsers(value) {
+    async function fetchUsers() {
       try {
-        const res = await fetch(
-          `${BASE_URL}/api/search?${new URLSearchParams({
-            slug: value,
-          }).toString()}`,
-        );
+        const res = await fetch(searchUrl());
         const data = await res.json();
+        setSuggestion(data.suggestion || null);
         if (data.error) {
-          throw new Error(`${value} not found`);
+          throw new Error(`${searchTerm || "search"} not found`);
         }
 
         setNotFound();
-        setUsers(data.users.sort(() => Math.random() - 0.5));
-        setCurrentPage(1);
+        setUsers(data.users);
+        setTotalUsers(data.total);
+        setCursor(data.nextCursor);
+        setFacets(data.facets);
       } catch (err) {
         setNotFound(err.message);
         setUsers([]);
+        setTotalUsers(0);
+        setCursor(null);
       }
     }
 
-    if (searchTerm) {
-      fetchUsers(searchTerm);
-    }
-  }, [searchTerm]);
+    fetchUsers();
+  }, [searchTerm, filters]);
 
   const handleSearchSubmit = async (e) => {
     e.preventDefault();
@@ -203,15 +242,77 @@ export default function Search({
     );
   };
 
-  const usersPerPage = 21;
-  const indexOfLastUser = currentPage * usersPerPage;
-  const indexOfFirstUser = indexOfLastUser - usersPerPage;
-  const visibleUsers = users.slice(indexOfFirstUser, indexOfLastUser);
+  const search = (value) =>
+    replace(
+      {
+        pathname,
+        query: { userSearchParam: value },
+      },
+      undefined,
+      { shallow: true },
+    );
+
+  const handleSuggestion = () => {
+    searchInputRef.current.value = suggestion;
+    search(suggestion);
+  };
+
+  const handleAutocomplete = (e) => {
+    const value = e.target.value;
+    // only suggest for the term currently being typed
+    const terms = value.split(",");
+    const term = terms.pop().trim();
 
-  const paginate = useCallback((pageNumber) => {
-    setCurrentPage(pageNumber);
-    window.scrollTo({ top: 150, behavior: "smooth" });
-  }, []);
+    clearTimeout(autocompleteTimeout.current);
+    if (term.length < 2) {
+      setAutocomplete([]);
+      return;
+    }
+
+    autocompleteTimeout.current = setTimeout(async () => {
+      try {
+        const res = await fetch(
+          `${BASE_URL}/api/search/autocomplete?${new URLSearchParams({
+            q: term,
+          }).toString()}`,
+        );
+        const data = await res.json();
+        if (data.error) {
+          throw new Error(data.error);
+        }
+
+        const prefix = terms.length ? `${terms.join(",")}, ` : "";
+        setAutocomplete(
+          [
+            ...data.usernames,
+            ...data.names,
+            ...data.tags.map((tag) => tag.name),
+          ]
+            .filter((item, index, items) => items.indexOf(item) === index)
+            .map((item) => `${prefix}${item}`),
+        );
+      } catch (e) {
+        setAutocomplete([]);
+      }
+    }, 200);
+  };
+
+  const loadMore = async () => {
+    setIsLoading(true);
+    try {
+      const res = await fetch(searchUrl({ cursor }));
+      const data = await res.json();
+      if (data.error) {
+        throw new Error(data.error);
+      }
+
+      setUsers([...users, ...data.users]);
+      setCursor(data.nextCursor);
+    } catch (e) {
+      setNotFound(e.message);
+    }
+    setIsLoading(false);
+  };
 
   return (
     <>
@@ -240,7 +341,7 @@ export default function Search({
         </div>
 
         <Badge
-          content={users.length}
+          content={totalUsers}
           display={!!users}
           className="w-full"
           badgeClassName={"translate-x-2/4 -translate-y-1/2"}
@@ -251,49 +352,109 @@ export default function Search({
               placeholder="Search user by name or tags; eg: open source, reactjs or places; eg: London, New York"
               name="keyword"
               defaultValue={searchTerm}
+              list="search-autocomplete"
+              autoComplete="off"
+              onChange={handleAutocomplete}
             />
+            <datalist id="search-autocomplete">
+              {autocomplete.map((item) => (
+                <option key={item} value={item} />
+              ))}
+            </datalist>
             <Button type="submit" className="mb-4">
               Search
             </Button>
           </form>
         </Badge>
 
-        {!searchTerm && (
-          <h2 className="mt-10 mb-4 text-2xl font-bold">
-            Recently updated profiles
-          </h2>
-        )}
-
-        {notFound && <Alert type="error" message={notFound} />}
-        <ul
-          role="list"
-          className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3"
-        >
-          {users.length < usersPerPage &&
-            users.map((user) => (
-              <li key={user.username}>
-                <UserHorizontal profile={user} input={searchTerm} />
-              </li>
-            ))}
-
-          {users.length > usersPerPage &&
-            visibleUsers.map((user) => (
-              <li key={user.username}>
-                <UserHorizontal profile={user} input={searchTerm} />
-              </li>
-            ))}
-        </ul>
-
-        {users.length > usersPerPage && (
-          <Pagination
-            currentPage={currentPage}
-            data={users}
-            perPage={usersPerPage}
-            paginate={paginate}
-            startIndex={indexOfFirstUser}
-            endIndex={indexOfLastUser}
+        <div className="flex flex-col gap-6 lg:flex-row">
+          <SearchFilters
+            facets={facets}
+            tags={tags}
+            filters={filters}
+            setFilters={setFilters}
           />
-        )}
+
+          <div className="grow">
+            <NearSearch
+              BASE_URL={BASE_URL}
+              tags={filters.tags}
+              onResults={setNearResults}
+            />
+
+            {nearResults && (
+              <>
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-2xl font-bold">
+                    {nearResults.isTruncated && "Nearest "}
+                    {nearResults.total} profiles within {nearResults.radius} km
+                    {nearResults.origin.name &&
+                      ` of ${nearResults.origin.name}`}
+                  </h2>
+                  <Button
+                    className="w-auto"
+                    onClick={() => setNearResults(null)}
+                  >
+                    Clear
+                  </Button>
+                </div>
+                <ul
+                  role="list"
+                  className="grid grid-cols-1 gap-6 mb-8 sm:grid-cols-2 xl:grid-cols-3"
+                >
+                  {nearResults.users.map((user) => (
+                    <li key={user.username}>
+                      <UserHorizontal profile={user} input={searchTerm} />
+                      <p className="text-sm text-center text-primary-medium dark:text-primary-low">
+                        {user.distance} km away
+                      </p>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            {!nearResults && !searchTerm && !hasSearchFilters(filters) && (
+              <h2 className="mb-4 text-2xl font-bold">
+                Recently updated profiles
+              </h2>
+            )}
+
+            {notFound && <Alert type="error" message={notFound} />}
+            {suggestion && (
+              <p className="mb-4">
+                Did you mean{" "}
+                <button
+                  className="font-bold underline text-secondary-medium"
+                  onClick={handleSuggestion}
+                >
+                  {suggestion}
+                </button>
+                ?
+              </p>
+            )}
+            {!nearResults && (
+              <ul
+                role="list"
+                className="grid grid-cols-1 gap-6 sm:grid-cols-2 xl:grid-cols-3"
+              >
+                {users.map((user) => (
+                  <li key={user.username}>
+                    <UserHorizontal profile={user} input={searchTerm} />
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {!nearResults && cursor && (
+              <div className="flex justify-center mt-6">
+                <Button onClick={loadMore} disabled={isLoading}>
+                  Load more ({users.length} of {totalUsers})
+                </Button>
+              </div>
+            )}
+          </div>
+        </div>
       </Page>
     </>
   );
@@ -112,6 +112,12 @@ const config = {
     url: baseURL,
     timeout: 120 * 1000,
     reuseExistingServer: !process.env.CI,
+    env: {
+      // emails are saved as json for the tests to read
+      MAIL_TRANSPORT: "file",
+      // the link checker tests use a local server, only allowed while testing
+      LINK_CHECKER_ALLOW_HOSTS: "127.0.0.1",
+    },
   },
   globalSetup: require.resolve("./tests/setup/global-setup"),
   globalTeardown: require.resolve("./tests/setup/global-teardown"),
@@ -0,0 +1,32 @@
+import { authOptions } from "pages/api/auth/[...nextauth]";
+import { getServerSession } from "next-auth/next";
+
+import logger from "@config/logger";
+import { hasRole } from "./roles";
+
+// shared guard for api routes (use `status` and `error`) and pages (use `redirect`)
+export default async function authorize(req, res, allowedRoles = []) {
+  const session = await getServerSession(req, res, authOptions);
+
+  if (!session) {
+    return {
+      status: 401,
+      error: "Unauthorized: login required",
+      redirect: { destination: "/auth/signin", permanent: false },
+    };
+  }
+
+  if (!hasRole(session.roles, allowedRoles)) {
+    logger.info(
+      `username: ${session.username} denied access, requires one of: ${allowedRoles.join(", ")}`,
+    );
+    return {
+      status: 403,
+      error: `Forbidden: requires one of the roles ${allowedRoles.join(", ")}`,
+      redirect: { destination: "/404", permanent: false },
+      session,
+    };
+  }
+
+  return { status: 200, session };
+}
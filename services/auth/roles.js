@@ -0,0 +1,38 @@
+import config from "@config/app.json";
+
+export const roles = config.roles;
+
+// which roles can access each admin section, "admin" can access everything
+export const adminAccess = {
+  statistics: ["admin", "moderator", "support"],
+  profiles: ["admin", "moderator", "support"],
+  events: ["admin", "moderator"],
+  changelog: ["admin", "support"],
+  links: ["admin", "moderator", "support"],
+  // approving a link puts it live, so not everyone who can see them
+  linkReview: ["admin", "moderator"],
+  roles: ["admin"],
+};
+
+export function getUserRoles(user, username, adminUsers = []) {
+  const userRoles = (user?.roles || []).filter((role) => roles.includes(role));
+
+  // users listed in the env var are always admins
+  if (
+    username &&
+    adminUsers.includes(username) &&
+    !userRoles.includes("admin")
+  ) {
+    userRoles.push("admin");
+  }
+
+  return userRoles;
+}
+
+export function hasRole(userRoles = [], allowedRoles = []) {
+  if (userRoles.includes("admin")) {
+    return true;
+  }
+
+  return allowedRoles.some((role) => userRoles.includes(role));
+}
@@ -0,0 +1,16 @@
+import { serverEnv } from "@config/schemas/serverSchema";
+
+// system jobs are called with `?secret=` or, from the vercel cron, with its
+// `CRON_SECRET` as a bearer token, set it to the same value as
+// `BIODROP_API_SECRET`
+export default function isSystemRequest(req) {
+  const secret = serverEnv.BIODROP_API_SECRET;
+  if (!secret) {
+    return false;
+  }
+
+  return (
+    req.query.secret === secret ||
+    req.headers.authorization === `Bearer ${secret}`
+  );
+}
@@ -0,0 +1,56 @@
+import logger from "@config/logger";
+import { serverEnv } from "@config/schemas/serverSchema";
+import anonymizeIp from "@services/geo/ip";
+import lookupLocal from "@services/geo/providers/local";
+import lookupHttp from "@services/geo/providers/http";
+
+const providers = {
+  local: lookupLocal,
+  http: lookupHttp,
+};
+
+const maxCacheSize = 5000;
+const cacheHours = 24;
+const cache = new Map();
+
+// country code for the ip address, "-" when the lookup fails
+// and null when there is nothing to look up
+export default async function getCountryCode(ip) {
+  if (!ip || ip.match(/127\.0\.0\.1/) || ip === "::1") {
+    return null;
+  }
+
+  const network = anonymizeIp(ip);
+  if (!network) {
+    return "-";
+  }
+
+  const cached = cache.get(network);
+  if (cached && cached.expires > Date.now()) {
+    return cached.country;
+  }
+
+  let country;
+  try {
+    country = await providers[serverEnv.GEOIP_PROVIDER](network);
+  } catch (e) {
+    logger.error(e, `failed to get country for network: ${network}`);
+    return "-";
+  }
+
+  // no database available, the country is not recorded
+  if (country === null) {
+    return null;
+  }
+
+  if (cache.size >= maxCacheSize) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.delete(network);
+  cache.set(network, {
+    country: country || "-",
+    expires: Date.now() + cacheHours * 60 * 60 * 1000,
+  });
+
+  return country || "-";
+}
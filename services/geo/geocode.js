@@ -0,0 +1,54 @@
+import logger from "@config/logger";
+
+const maxCacheSize = 500;
+const cache = new Map();
+
+export default async function geocode(place) {
+  const key = place.trim().toLowerCase();
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const url = `https://nominatim.openstreetmap.org/?addressdetails=1&q=${encodeURIComponent(
+    place,
+  )}&format=json&limit=1`;
+
+  let location = null;
+  try {
+    const locationResponse = await fetch(url);
+    const data = (await locationResponse.json())[0];
+    if (data) {
+      location = {
+        name: data.display_name,
+        lat: parseFloat(data.lat),
+        lon: parseFloat(data.lon),
+      };
+    }
+  } catch (e) {
+    logger.error(e, `location info from open street map failed for: ${place}`);
+    throw e;
+  }
+
+  if (cache.size >= maxCacheSize) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, location);
+
+  return location;
+}
+
+export function toPoint(lat, lon) {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lon);
+  if (
+    isNaN(latitude) ||
+    isNaN(longitude) ||
+    (latitude === 0 && longitude === 0) ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    return undefined;
+  }
+
+  return { type: "Point", coordinates: [longitude, latitude] };
+}
@@ -0,0 +1,26 @@
+import { isIP } from "net";
+
+// drop the host part of the ip address before it is looked up or cached,
+// ipv4 keeps the /24 network and ipv6 the /48 network
+export default function anonymizeIp(ip) {
+  const address = ip.replace(/^::ffff:/i, "");
+
+  if (isIP(address) === 4) {
+    return address.split(".").slice(0, 3).concat("0").join(".");
+  }
+
+  if (isIP(address) === 6) {
+    const [head, tail = ""] = address.split("::");
+    const headGroups = head ? head.split(":") : [];
+    const tailGroups = tail ? tail.split(":") : [];
+    const groups = [
+      ...headGroups,
+      ...Array(8 - headGroups.length - tailGroups.length).fill("0"),
+      ...tailGroups,
+    ];
+
+    return `${groups.slice(0, 3).join(":")}::`;
+  }
+
+  return null;
+}
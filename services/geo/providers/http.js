@@ -0,0 +1,8 @@
+// country lookup from the iplocation.net api, this sends the (anonymized)
+// ip address to a third party
+export default async function lookupCountry(ip) {
+  const ipLookupRes = await fetch(`https://api.iplocation.net/?ip=${ip}`);
+  const ipLookup = await ipLookupRes.json();
+
+  return ipLookup.country_code2;
+}
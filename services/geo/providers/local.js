@@ -0,0 +1,36 @@
+import fs from "fs";
+import path from "path";
+import { Reader } from "mmdb-lib";
+
+import logger from "@config/logger";
+import { serverEnv } from "@config/schemas/serverSchema";
+
+const databasePath = path.resolve(
+  serverEnv.GEOIP_DATABASE_PATH || "geoip/GeoLite2-Country.mmdb",
+);
+
+let reader;
+
+function getReader() {
+  if (reader === undefined) {
+    try {
+      reader = new Reader(fs.readFileSync(databasePath));
+    } catch (e) {
+      logger.error(e, `failed to open geoip database: ${databasePath}`);
+      reader = null;
+    }
+  }
+
+  return reader;
+}
+
+// country lookup from a local MaxMind (mmdb) database, eg. GeoLite2 Country
+export default async function lookupCountry(ip) {
+  const database = getReader();
+  if (!database) {
+    return null;
+  }
+
+  const result = database.get(ip);
+  return result?.country?.iso_code || result?.registered_country?.iso_code;
+}
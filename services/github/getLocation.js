@@ -1,5 +1,6 @@
 import logger from "@config/logger";
 import getLocationByUsername from "@services/github/getLocationByUsername";
+import { toPoint } from "@services/geo/geocode";
 import { Profile } from "@models/index";
 
 async function saveLocation(username) {
@@ -15,6 +16,7 @@ async function saveLocation(username) {
           name: location.name,
           lat: location.lat,
           lon: location.lon,
+          point: toPoint(location.lat, location.lon),
           updatedAt: new Date(),
         },
       },
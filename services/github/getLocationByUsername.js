@@ -1,5 +1,6 @@
 import logger from "@config/logger";
 import { serverEnv } from "@config/schemas/serverSchema";
+import geocode from "@services/geo/geocode";
 
 export default async function getLocationByUsername(username) {
   let location = {
@@ -35,16 +36,11 @@ export default async function getLocationByUsername(username) {
     return location;
   }
 
-  const url = `https://nominatim.openstreetmap.org/?addressdetails=1&q=${encodeURIComponent(
-    github.location,
-  )}&format=json&limit=1`;
-
   try {
-    const locationResponse = await fetch(url);
-    const data = (await locationResponse.json())[0];
+    const data = await geocode(github.location);
     location = {
       provided: github.location,
-      name: data.display_name,
+      name: data.name,
       lat: data.lat,
       lon: data.lon,
     };
@@ -0,0 +1,95 @@
+import dns from "dns";
+import net from "net";
+
+import { serverEnv } from "@config/schemas/serverSchema";
+
+// loopback, private, link-local (eg. cloud metadata), shared, documentation,
+// multicast and other reserved ranges the server must never request
+const privateRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.88.99.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix));
+[
+  ["::", 128],
+  ["::1", 128],
+  // translated and 6to4 addresses can point at private ipv4 ones, mapped
+  // ones (`::ffff:127.0.0.1`) are checked against the ipv4 ranges
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["2002::", 16],
+  ["100::", 64],
+  ["2001::", 23],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["fec0::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  privateRanges.addSubnet(address, prefix, "ipv6"),
+);
+
+// hosts allowed anyway, eg. `127.0.0.1` for the local test server
+const allowedHosts = (serverEnv.LINK_CHECKER_ALLOW_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+
+  return privateRanges.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+const privateAddressError = (hostname) =>
+  Object.assign(new Error(`${hostname} is a private address`), {
+    code: "EPRIVATEADDRESS",
+  });
+
+// throws for ip address hosts, which are connected to without a lookup
+export function checkHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (allowedHosts.includes(host)) {
+    return;
+  }
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw privateAddressError(host);
+  }
+}
+
+// `lookup` for http requests that refuses hostnames resolving to a private
+// address, the checked address is the one connected to
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (
+      !allowedHosts.includes(hostname.toLowerCase()) &&
+      addresses.some(({ address }) => isPrivateAddress(address))
+    ) {
+      return callback(privateAddressError(hostname));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
@@ -0,0 +1,178 @@
+import http from "http";
+import https from "https";
+
+import logger from "@config/logger";
+import { Link } from "@models/index";
+import { checkHost, publicLookup } from "./address";
+
+const timeoutSeconds = 10;
+const maxAttempts = 3;
+const backoffMilliseconds = 1000;
+const concurrency = 5;
+const maxRedirects = 5;
+
+// some servers block or do not support HEAD requests
+const headNotSupported = [403, 405, 501];
+
+const wait = (milliseconds) =>
+  new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+const timeoutError = () =>
+  Object.assign(new Error("Timed out"), { name: "TimeoutError" });
+
+// every hop is checked, so neither the link nor a redirect can reach a
+// private address
+function requestOnce(url, method) {
+  const target = new URL(url);
+  checkHost(target.hostname);
+  const client = target.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      target,
+      {
+        method,
+        lookup: publicLookup,
+        headers: { "user-agent": "BioDrop link checker (https://biodrop.io)" },
+      },
+      (res) => {
+        // only the status is needed, not the page
+        res.destroy();
+        resolve({ status: res.statusCode, location: res.headers.location });
+      },
+    );
+    // a deadline for the whole request, the socket `timeout` never fires for
+    // a server that keeps sending a byte now and then
+    const deadline = setTimeout(
+      () => req.destroy(timeoutError()),
+      timeoutSeconds * 1000,
+    );
+    req.on("close", () => clearTimeout(deadline));
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+// no more hops are started after `until`
+async function request(url, method, until) {
+  let current = url;
+  for (let redirect = 0; redirect <= maxRedirects; redirect++) {
+    if (Date.now() > until) {
+      throw timeoutError();
+    }
+    const { status, location } = await requestOnce(current, method);
+    if (status < 300 || status >= 400 || !location) {
+      return status;
+    }
+
+    current = new URL(location, current).toString();
+    if (!/^https?:/i.test(current)) {
+      throw new Error("Redirected to an unsupported url");
+    }
+  }
+
+  throw new Error("Too many redirects");
+}
+
+// `status` is null when the server could not be reached at all, there are
+// no retries after `until`
+export async function checkUrl(url, until = Infinity) {
+  let result = {};
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (attempt) {
+      const backoff = backoffMilliseconds * 2 ** (attempt - 1);
+      if (Date.now() + backoff > until) {
+        break;
+      }
+      await wait(backoff);
+    }
+
+    try {
+      let status = await request(url, "HEAD", until);
+      if (headNotSupported.includes(status)) {
+        status = await request(url, "GET", until);
+      }
+      result = { status, error: status >= 400 ? `HTTP ${status}` : null };
+    } catch (e) {
+      result = {
+        status: null,
+        error: e.name === "TimeoutError" ? "Timed out" : e.message,
+      };
+      if (e.code === "EPRIVATEADDRESS") {
+        break;
+      }
+    }
+
+    // only retry errors that could be temporary
+    if (result.status && result.status < 500 && result.status !== 429) {
+      break;
+    }
+  }
+
+  return { ...result, isOk: !!result.status && result.status < 400 };
+}
+
+// runs `task` for every item, with at most `limit` of them at the same time
+async function mapWithConcurrency(items, limit, task) {
+  const results = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
+  );
+
+  return results;
+}
+
+// the failure streak is the number of checks in a row that failed, links
+// not started by `until` are left for the next run (their result is null)
+export async function checkLinks(links, until = Infinity) {
+  return mapWithConcurrency(links, concurrency, async (link) => {
+    if (Date.now() > until) {
+      return null;
+    }
+
+    // claimed before the check, so a run that is stopped part way does not
+    // pick the same links again
+    try {
+      await Link.updateOne(
+        { _id: link._id },
+        { $set: { "health.checkedAt": new Date() } },
+        { timestamps: false },
+      );
+    } catch (e) {
+      logger.error(e, `failed to claim link ${link._id} for checking`);
+    }
+
+    const result = await checkUrl(link.url, until);
+
+    let update = {
+      $set: {
+        "health.status": result.status,
+        "health.error": result.error,
+        "health.checkedAt": new Date(),
+      },
+    };
+    if (result.isOk) {
+      update.$set["health.failures"] = 0;
+    } else {
+      update.$inc = { "health.failures": 1 };
+      logger.info(
+        `link ${link._id} for username: ${link.username} failed: ${result.error}`,
+      );
+    }
+
+    try {
+      await Link.updateOne({ _id: link._id }, update, { timestamps: false });
+    } catch (e) {
+      logger.error(e, `failed to save health of link ${link._id}`);
+    }
+
+    return result;
+  });
+}
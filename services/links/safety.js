@@ -0,0 +1,106 @@
+import fs from "fs";
+import { domainToUnicode } from "url";
+
+import logger from "@config/logger";
+import { serverEnv } from "@config/schemas/serverSchema";
+import defaultBlocklist from "@config/url-blocklist.json";
+
+// mailto links are used by a lot of profiles
+const allowedProtocols = ["http:", "https:", "mailto:"];
+
+// cyrillic and greek letters that look like latin ones
+const confusables = /^[аеорсухіјѕԁһӏԛԝοεαρτνκιυχ0-9-]+$/u;
+const scripts = [
+  /\p{Script=Latin}/u,
+  /\p{Script=Cyrillic}/u,
+  /\p{Script=Greek}/u,
+];
+
+let blocklist = null;
+
+// `URL_BLOCKLIST_PATH` replaces the lists it has, eg. `{ "domains": [] }`
+function getBlocklist() {
+  if (blocklist) {
+    return blocklist;
+  }
+
+  let custom = {};
+  if (serverEnv.URL_BLOCKLIST_PATH) {
+    try {
+      custom = JSON.parse(fs.readFileSync(serverEnv.URL_BLOCKLIST_PATH));
+    } catch (e) {
+      logger.error(e, `failed to load ${serverEnv.URL_BLOCKLIST_PATH}`);
+    }
+  }
+
+  const lists = { ...defaultBlocklist, ...custom };
+  blocklist = {
+    domains: lists.domains.map((domain) => domain.toLowerCase()),
+    shorteners: lists.shorteners.map((domain) => domain.toLowerCase()),
+    patterns: lists.patterns.map((pattern) => new RegExp(pattern, "i")),
+  };
+
+  return blocklist;
+}
+
+const matchesDomain = (hostname, domains) =>
+  domains.some(
+    (domain) => hostname === domain || hostname.endsWith(`.${domain}`),
+  );
+
+// punycode labels mixing scripts or only using look-alike letters,
+// eg. `xn--80ak6aa92e.com` is "аррӏе.com" in cyrillic
+function isHomograph(hostname) {
+  return hostname.split(".").some((label) => {
+    if (!label.startsWith("xn--")) {
+      return false;
+    }
+
+    const unicode = domainToUnicode(label);
+    const used = scripts.filter((script) => script.test(unicode)).length;
+    return used > 1 || confusables.test(unicode);
+  });
+}
+
+// "reject" is never saved, "quarantine" is hidden until an admin reviews it
+export default function screenUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return { action: "reject", reasons: ["not a valid URL"] };
+  }
+
+  if (!allowedProtocols.includes(url.protocol)) {
+    return { action: "reject", reasons: [`${url.protocol} links not allowed`] };
+  }
+  if (url.protocol === "mailto:") {
+    return { action: "allow", reasons: [] };
+  }
+
+  const { domains, shorteners, patterns } = getBlocklist();
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, "");
+  if (matchesDomain(hostname, domains)) {
+    return { action: "reject", reasons: [`${hostname} is blocked`] };
+  }
+
+  let reasons = [];
+  if (matchesDomain(hostname, shorteners)) {
+    reasons.push("URL shortener hides the destination");
+  }
+  if (isHomograph(hostname)) {
+    reasons.push("domain uses look-alike characters");
+  }
+  if (url.username || url.password) {
+    reasons.push("URL contains a username or password");
+  }
+  if (patterns.some((pattern) => pattern.test(url.href))) {
+    reasons.push("URL matches a suspicious pattern");
+  }
+
+  return { action: reasons.length ? "quarantine" : "allow", reasons };
+}
+
+export const heldStatuses = ["quarantined", "rejected"];
+
+export const isLinkHeld = (link) => heldStatuses.includes(link.safety?.status);
@@ -0,0 +1,31 @@
+import logger from "@config/logger";
+import { serverEnv } from "@config/schemas/serverSchema";
+import { PROJECT_NAME } from "@constants/index";
+import sendConsole from "@services/mail/transports/console";
+import sendFile from "@services/mail/transports/file";
+import sendSmtp from "@services/mail/transports/smtp";
+
+const transports = {
+  console: sendConsole,
+  file: sendFile,
+  smtp: sendSmtp,
+};
+
+export default async function sendMail({ to, subject, text, html, headers }) {
+  const message = {
+    from: serverEnv.MAIL_FROM || `${PROJECT_NAME} <noreply@biodrop.io>`,
+    to,
+    subject,
+    text,
+    html,
+    headers,
+  };
+
+  try {
+    await transports[serverEnv.MAIL_TRANSPORT](message);
+    logger.info(`email "${subject}" sent with ${serverEnv.MAIL_TRANSPORT}`);
+  } catch (e) {
+    logger.error(e, `failed to send email "${subject}"`);
+    throw e;
+  }
+}
@@ -0,0 +1,11 @@
+import logger from "@config/logger";
+
+// logs the email instead of sending it
+export default async function send(message) {
+  logger.info(
+    { to: message.to, subject: message.subject },
+    `email not sent (console mail transport):\n${message.text}`,
+  );
+
+  return {};
+}
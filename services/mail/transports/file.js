@@ -0,0 +1,18 @@
+import fs from "fs/promises";
+import path from "path";
+
+import { serverEnv } from "@config/schemas/serverSchema";
+
+// writes each email as a json file, for local development and tests
+export default async function send(message) {
+  const directory = path.resolve(serverEnv.MAIL_FILE_DIR || "mail");
+  await fs.mkdir(directory, { recursive: true });
+
+  const file = path.join(
+    directory,
+    `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, "_")}.json`,
+  );
+  await fs.writeFile(file, JSON.stringify(message, null, 2));
+
+  return { file };
+}
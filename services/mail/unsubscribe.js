@@ -0,0 +1,21 @@
+import crypto from "crypto";
+
+import { serverEnv } from "@config/schemas/serverSchema";
+
+// the unsubscribe link works without logging in, so it is signed instead
+export function unsubscribeToken(username) {
+  return crypto
+    .createHmac("sha256", serverEnv.BIODROP_API_SECRET)
+    .update(`digest:${username}`)
+    .digest("hex");
+}
+
+export function isUnsubscribeToken(username, token) {
+  const expected = Buffer.from(unsubscribeToken(username));
+  const actual = Buffer.from(`${token}`);
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
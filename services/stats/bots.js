@@ -0,0 +1,65 @@
+// link previews, search engines, uptime monitors and http libraries
+const botAgents = [
+  "bot",
+  "crawl",
+  "spider",
+  "slurp",
+  "facebookexternalhit",
+  "embedly",
+  "preview",
+  "whatsapp",
+  "skypeuripreview",
+  "bitlyurl",
+  "vkshare",
+  "pinterest",
+  "lighthouse",
+  "pingdom",
+  "uptime",
+  "monitor",
+  "statuscake",
+  "headless",
+  "phantomjs",
+  "curl",
+  "wget",
+  "python",
+  "axios",
+  "node-fetch",
+  "undici",
+  "go-http-client",
+  "java/",
+  "okhttp",
+  "libwww",
+  "httpclient",
+  "postman",
+  "insomnia",
+];
+const botAgentPattern = new RegExp(botAgents.join("|"), "i");
+
+export function isBotUserAgent(userAgent) {
+  return !userAgent || botAgentPattern.test(userAgent);
+}
+
+// reason the request looks automated, or null for a real visitor
+export default function getBotReason(headers = {}) {
+  const userAgent = headers["user-agent"];
+  if (!userAgent) {
+    return "no-user-agent";
+  }
+  if (botAgentPattern.test(userAgent)) {
+    return "user-agent";
+  }
+
+  // browsers prefetching or rendering a preview of the page
+  const purpose =
+    headers["purpose"] || headers["sec-purpose"] || headers["x-purpose"];
+  if (purpose && /prefetch|preview/i.test(purpose)) {
+    return "prefetch";
+  }
+
+  // every real browser sends the languages it accepts
+  if (!headers["accept-language"]) {
+    return "no-accept-language";
+  }
+
+  return null;
+}
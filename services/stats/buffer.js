@@ -0,0 +1,182 @@
+import logger from "@config/logger";
+import { serverEnv } from "@config/schemas/serverSchema";
+import { Link, LinkStats, Profile, ProfileStats, Stats } from "@models/index";
+
+const models = { Link, LinkStats, Profile, ProfileStats, Stats };
+const maxPendingWrites = 1000;
+const maxAttempts = 3;
+
+// seconds between flushes, 0 (the default) writes every increment on its own
+// before the request returns, nothing is coalesced. Only set it for long
+// running servers, serverless functions are frozen after responding so a
+// timer would never fire
+export const flushSeconds = parseInt(serverEnv.STATS_BUFFER_FLUSH_SECONDS) || 0;
+
+// kept on `global` so development hot reloads do not lose increments
+const buffer = (global.statsBuffer ??= {
+  pending: new Map(),
+  flushing: null,
+  timer: null,
+  isExitRegistered: false,
+  metrics: {
+    flushes: 0,
+    writes: 0,
+    failures: 0,
+    dropped: 0,
+    lastFlushAt: null,
+    lastError: null,
+  },
+});
+
+// increments to the same document are coalesced into one `$inc` until the
+// next flush, the promise resolves when they have been queued (or written)
+export function incrementStats(model, filter, increment, options = {}) {
+  const key = `${model}:${JSON.stringify(filter)}`;
+  const write = buffer.pending.get(key) || {
+    model,
+    filter,
+    increment: {},
+    upsert: !!options.upsert,
+    timestamps: options.timestamps !== false,
+    hits: 0,
+    attempts: 0,
+  };
+  mergeIncrement(write.increment, increment);
+  write.hits++;
+  buffer.pending.set(key, write);
+
+  flushOnExit();
+  if (!flushSeconds || buffer.pending.size >= maxPendingWrites) {
+    return flushStats();
+  }
+
+  if (!buffer.timer) {
+    buffer.timer = setTimeout(() => {
+      buffer.timer = null;
+      flushStats();
+    }, flushSeconds * 1000);
+    buffer.timer.unref?.();
+  }
+
+  return Promise.resolve();
+}
+
+function mergeIncrement(target, increment) {
+  Object.entries(increment).forEach(([field, value]) => {
+    target[field] = (target[field] || 0) + value;
+  });
+}
+
+export async function flushStats() {
+  // increments queued during a flush are written by the next one
+  while (buffer.flushing) {
+    await buffer.flushing;
+  }
+  if (!buffer.pending.size) {
+    return;
+  }
+
+  const writes = [...buffer.pending.values()];
+  buffer.pending = new Map();
+  buffer.flushing = writeAll(writes).finally(() => {
+    buffer.flushing = null;
+  });
+
+  return buffer.flushing;
+}
+
+async function writeAll(writes) {
+  const byModel = {};
+  writes.forEach((write) => {
+    byModel[write.model] = [...(byModel[write.model] || []), write];
+  });
+
+  await Promise.all(
+    Object.entries(byModel).map(async ([model, modelWrites]) => {
+      try {
+        await models[model].bulkWrite(
+          modelWrites.map((write) => ({
+            updateOne: {
+              filter: write.filter,
+              update: { $inc: write.increment },
+              upsert: write.upsert,
+              timestamps: write.timestamps,
+            },
+          })),
+          { ordered: false },
+        );
+        buffer.metrics.writes += modelWrites.length;
+      } catch (e) {
+        logger.error(e, `failed to flush ${modelWrites.length} ${model} stats`);
+        buffer.metrics.failures++;
+        buffer.metrics.lastError = e.message;
+        modelWrites.forEach(requeue);
+      }
+    }),
+  );
+
+  buffer.metrics.flushes++;
+  buffer.metrics.lastFlushAt = new Date();
+}
+
+// failed writes go back in the buffer to be retried with the next flush
+function requeue(write) {
+  write.attempts++;
+  if (write.attempts >= maxAttempts) {
+    buffer.metrics.dropped += write.hits;
+    logger.error(
+      { model: write.model, filter: write.filter, increment: write.increment },
+      "dropped stats increments after too many failed flushes",
+    );
+    return;
+  }
+
+  const key = `${write.model}:${JSON.stringify(write.filter)}`;
+  const pending = buffer.pending.get(key);
+  if (pending) {
+    mergeIncrement(pending.increment, write.increment);
+    pending.hits += write.hits;
+    pending.attempts = Math.max(pending.attempts, write.attempts);
+  } else {
+    buffer.pending.set(key, write);
+  }
+}
+
+// writes what is left when the process ends, anything still buffered when
+// `process.exit()` is called is lost
+function flushOnExit() {
+  if (buffer.isExitRegistered) {
+    return;
+  }
+  buffer.isExitRegistered = true;
+
+  process.once("beforeExit", () => flushStats());
+  // the server's own handlers close it alongside the flush, without any the
+  // signal is raised again once written so the process still ends
+  ["SIGTERM", "SIGINT"].forEach((signal) => {
+    process.once(signal, async () => {
+      try {
+        await flushStats();
+      } catch (e) {
+        logger.error(e, `failed to flush stats on ${signal}`);
+      }
+
+      if (!process.listenerCount(signal)) {
+        process.kill(process.pid, signal);
+      }
+    });
+  });
+}
+
+// only covers the server instance (or serverless function) it runs in
+export function getStatsBacklog() {
+  let hits = 0;
+  buffer.pending.forEach((write) => (hits += write.hits));
+
+  return {
+    flushSeconds,
+    pendingWrites: buffer.pending.size,
+    pendingHits: hits,
+    ...buffer.metrics,
+  };
+}
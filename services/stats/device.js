@@ -0,0 +1,19 @@
+import { isBotUserAgent } from "./bots";
+
+const tabletPattern = /ipad|tablet|kindle|silk|playbook|(android(?!.*mobile))/i;
+const mobilePattern =
+  /mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i;
+
+export default function getDeviceClass(userAgent) {
+  if (isBotUserAgent(userAgent)) {
+    return "bot";
+  }
+  if (tabletPattern.test(userAgent)) {
+    return "tablet";
+  }
+  if (mobilePattern.test(userAgent)) {
+    return "mobile";
+  }
+
+  return "desktop";
+}
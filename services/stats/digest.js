@@ -0,0 +1,130 @@
+import { clientEnv } from "@config/schemas/clientSchema";
+import { PROJECT_NAME } from "@constants/index";
+import { Link, LinkStats, ProfileStats } from "@models/index";
+import { getClicksForRange, getRank } from "pages/api/account/statistics";
+import { lastDays } from "@services/stats/range";
+import { abbreviateNumber } from "@services/utils/abbreviateNumbers";
+import { unsubscribeToken } from "@services/mail/unsubscribe";
+
+export const digestDays = 7;
+
+export async function buildDigest(profile, now = new Date()) {
+  const { username } = profile;
+  const range = lastDays(digestDays, now);
+  const match = {
+    username,
+    granularity: { $ne: "month" },
+    date: { $gte: range.from, $lte: range.to },
+  };
+
+  const days = await ProfileStats.find(match, "views stats.countries").lean();
+  const views = days.reduce((acc, day) => acc + (day.views || 0), 0);
+  const clicks = await getClicksForRange(username, range);
+
+  // countries whose all time total is only this week's views
+  const weekCountries = {};
+  days.forEach((day) =>
+    Object.entries(day.stats?.countries || {}).forEach(([country, value]) => {
+      weekCountries[country] = (weekCountries[country] || 0) + value;
+    }),
+  );
+  const newCountries = Object.keys(weekCountries).filter(
+    (country) =>
+      country !== "-" &&
+      profile.stats?.countries?.get(country) === weekCountries[country],
+  );
+
+  const [topLinkClicks] = await LinkStats.aggregate([
+    { $match: match },
+    { $group: { _id: "$link", clicks: { $sum: "$clicks" } } },
+    { $sort: { clicks: -1 } },
+    { $limit: 1 },
+  ]);
+  let topLink = null;
+  if (topLinkClicks) {
+    const link = await Link.findById(topLinkClicks._id, "name url");
+    topLink = link && {
+      name: link.name,
+      url: link.url,
+      clicks: topLinkClicks.clicks,
+    };
+  }
+
+  const { rank } = await getRank(username);
+  const previousRank = profile.digest?.lastRank;
+
+  return {
+    username,
+    name: profile.name,
+    range,
+    views,
+    clicks,
+    topLink,
+    newCountries,
+    rank,
+    // positive when the profile moved up the ranking
+    rankChange: previousRank && rank ? previousRank - rank : null,
+  };
+}
+
+const escapeHtml = (text) =>
+  `${text}`
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+
+export function renderDigest(digest) {
+  const baseUrl = clientEnv.NEXT_PUBLIC_BASE_URL;
+  const statsUrl = `${baseUrl}/account/statistics?days=${digestDays}`;
+  const unsubscribeQuery = new URLSearchParams({
+    username: digest.username,
+    token: unsubscribeToken(digest.username),
+  }).toString();
+  const unsubscribeUrl = `${baseUrl}/digest/unsubscribe?${unsubscribeQuery}`;
+
+  let rank = `Your profile is ranked #${digest.rank}`;
+  if (digest.rankChange > 0) {
+    rank += ` (up ${digest.rankChange})`;
+  }
+  if (digest.rankChange < 0) {
+    rank += ` (down ${Math.abs(digest.rankChange)})`;
+  }
+
+  const lines = [
+    `${abbreviateNumber(digest.views)} profile views`,
+    `${abbreviateNumber(digest.clicks)} link clicks`,
+    digest.topLink &&
+      `Top link: ${digest.topLink.name} (${digest.topLink.clicks} clicks)`,
+    digest.newCountries.length > 0 &&
+      `New countries: ${digest.newCountries.join(", ")}`,
+    digest.rank && rank,
+  ].filter(Boolean);
+
+  const subject = `Your ${PROJECT_NAME} week: ${abbreviateNumber(
+    digest.views,
+  )} views and ${abbreviateNumber(digest.clicks)} clicks`;
+
+  return {
+    subject,
+    text: [
+      `Hi ${digest.name},`,
+      `Here is how your profile did in the last ${digestDays} days:`,
+      lines.map((line) => `- ${line}`).join("\n"),
+      `See all your statistics: ${statsUrl}`,
+      `Unsubscribe from these emails: ${unsubscribeUrl}`,
+    ].join("\n\n"),
+    html: `<p>Hi ${escapeHtml(digest.name)},</p>
+<p>Here is how your profile did in the last ${digestDays} days:</p>
+<ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}</ul>
+<p><a href="${statsUrl}">See all your statistics</a></p>
+<p><small><a href="${escapeHtml(
+      unsubscribeUrl,
+    )}">Unsubscribe from these emails</a></small></p>`,
+    // one-click unsubscribe (RFC 8058) posts straight to the api
+    headers: {
+      "List-Unsubscribe": `<${baseUrl}/api/digest/unsubscribe?${unsubscribeQuery}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  };
+}
@@ -0,0 +1,88 @@
+import logger from "@config/logger";
+import { LiveEvent, Profile } from "@models/index";
+
+export const liveMinutes = 30;
+const maxEvents = 5;
+// a panel marks the profile as watched at least this often while it is open
+export const watchSeconds = 60;
+
+const minuteOf = (date) => {
+  const minute = new Date(date);
+  minute.setSeconds(0, 0);
+  return minute.getTime();
+};
+
+// events are only published while the profile's live panel is open, so
+// views and clicks of everyone else do not add a write
+export function isLiveWatched(profile, now = new Date()) {
+  return profile?.live?.watchedAt > now - watchSeconds * 1000;
+}
+
+export async function watchLiveEvents(username) {
+  try {
+    await Profile.updateOne(
+      { username },
+      { "live.watchedAt": new Date() },
+      { timestamps: false },
+    );
+  } catch (e) {
+    logger.error(e, `failed to mark live statistics watched for ${username}`);
+  }
+}
+
+// stored in the database as the request that publishes an event and the one
+// reading them can be on different server instances
+export async function publishLiveEvent(username, event) {
+  try {
+    await LiveEvent.create({ username, ...event });
+  } catch (e) {
+    logger.error(e, `failed to publish live ${event.type} for ${username}`);
+  }
+}
+
+// views and clicks per minute for the last 30 minutes and the latest events
+export async function getLiveEvents(username, now = new Date()) {
+  const end = minuteOf(now);
+  const start = new Date(end - (liveMinutes - 1) * 60 * 1000);
+
+  const [counts, latest] = await Promise.all([
+    LiveEvent.aggregate([
+      { $match: { username, createdAt: { $gte: start } } },
+      {
+        $group: {
+          _id: {
+            $dateTrunc: { date: "$createdAt", unit: "minute" },
+          },
+          views: { $sum: { $cond: [{ $eq: ["$type", "view"] }, 1, 0] } },
+          clicks: { $sum: { $cond: [{ $eq: ["$type", "click"] }, 1, 0] } },
+        },
+      },
+    ]),
+    LiveEvent.find(
+      { username, createdAt: { $gte: start } },
+      "type source name url createdAt -_id",
+    )
+      .sort({ createdAt: -1 })
+      .limit(maxEvents)
+      .lean(),
+  ]);
+
+  const minutes = new Map(
+    counts.map((minute) => [minute._id.getTime(), minute]),
+  );
+
+  return {
+    minutes: [...Array(liveMinutes).keys()].reverse().map((ago) => {
+      const time = end - ago * 60 * 1000;
+      return {
+        time: new Date(time),
+        views: minutes.get(time)?.views || 0,
+        clicks: minutes.get(time)?.clicks || 0,
+      };
+    }),
+    events: latest.map(({ createdAt, ...event }) => ({
+      ...event,
+      time: createdAt,
+    })),
+  };
+}
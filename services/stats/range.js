@@ -0,0 +1,118 @@
+export const rangeDays = [7, 30, 90, 365];
+export const defaultRangeDays = 30;
+export const maxRangeDays = 730;
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+const parseDay = (value) => {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const [year, month, day] = value.split("-").map((part) => parseInt(part));
+  const date = new Date(year, month - 1, day);
+
+  return isNaN(date) ? null : date;
+};
+
+// "yyyy-mm-dd" in local time, the same format as `<input type="date">`
+export const formatDay = (date) => {
+  const d = new Date(date);
+  const month = ("0" + (d.getMonth() + 1)).slice(-2);
+  const day = ("0" + d.getDate()).slice(-2);
+
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+export const lastDays = (days, endDate = new Date()) => {
+  const to = endOfDay(endDate);
+  const from = startOfDay(endDate);
+  from.setDate(from.getDate() - days + 1);
+
+  return { from, to, days };
+};
+
+// the same number of days straight before the range
+export const previousRange = (range) => {
+  const endDate = new Date(range.from);
+  endDate.setDate(endDate.getDate() - 1);
+
+  return lastDays(range.days, endDate);
+};
+
+// `?days=7` or `?from=2024-01-01&to=2024-01-31`, defaults to the last 30 days
+export const parseStatsRange = (query = {}) => {
+  if (query.from || query.to) {
+    const from = parseDay(query.from);
+    const to = parseDay(query.to) || new Date();
+    if (!from) {
+      return { error: "Invalid range: from must be a yyyy-mm-dd date" };
+    }
+    if (from > to) {
+      return { error: "Invalid range: from must be before to" };
+    }
+
+    const days = Math.round((startOfDay(to) - startOfDay(from)) / dayMs) + 1;
+    if (days > maxRangeDays) {
+      return { error: `Invalid range: maximum is ${maxRangeDays} days` };
+    }
+
+    return { ...lastDays(days, to), custom: true };
+  }
+
+  const days = parseInt(query.days) || defaultRangeDays;
+  if (!rangeDays.includes(days)) {
+    return {
+      error: `Invalid range: days must be one of ${rangeDays.join(", ")}`,
+    };
+  }
+
+  return lastDays(days);
+};
+
+export const percentageChange = (current, previous) => {
+  if (!previous) {
+    return current ? null : 0;
+  }
+
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+};
+
+// percentage of views that led to a click, null without views
+export const clickThroughRate = (clicks, views) => {
+  if (!views) {
+    return null;
+  }
+
+  return Math.round((clicks / views) * 1000) / 10;
+};
+
+// stats documents in the range, rolled up months that overlap it count in full
+export const rangeMatch = (range) => {
+  const monthFrom = new Date(
+    range.from.getFullYear(),
+    range.from.getMonth(),
+    1,
+  );
+
+  return {
+    $or: [
+      {
+        granularity: { $ne: "month" },
+        date: { $gte: range.from, $lte: range.to },
+      },
+      { granularity: "month", date: { $gte: monthFrom, $lte: range.to } },
+    ],
+  };
+};
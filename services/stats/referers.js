@@ -0,0 +1,153 @@
+import { clientEnv } from "@config/schemas/clientSchema";
+
+export const channels = {
+  social: "Social",
+  search: "Search",
+  email: "Email",
+  referral: "Other websites",
+  internal: "Within the app",
+  direct: "Direct or unknown",
+};
+
+// hostnames (without `www.`) and the source they belong to
+const sources = [
+  {
+    source: "twitter",
+    channel: "social",
+    hosts: ["twitter.com", "x.com", "t.co"],
+  },
+  {
+    source: "facebook",
+    channel: "social",
+    hosts: ["facebook.com", "fb.com", "fb.me"],
+  },
+  { source: "instagram", channel: "social", hosts: ["instagram.com"] },
+  { source: "linkedin", channel: "social", hosts: ["linkedin.com", "lnkd.in"] },
+  { source: "reddit", channel: "social", hosts: ["reddit.com", "redd.it"] },
+  { source: "youtube", channel: "social", hosts: ["youtube.com", "youtu.be"] },
+  { source: "github", channel: "social", hosts: ["github.com"] },
+  { source: "hackernews", channel: "social", hosts: ["news.ycombinator.com"] },
+  { source: "dev.to", channel: "social", hosts: ["dev.to"] },
+  {
+    source: "discord",
+    channel: "social",
+    hosts: ["discord.com", "discordapp.com"],
+  },
+  { source: "tiktok", channel: "social", hosts: ["tiktok.com"] },
+  { source: "threads", channel: "social", hosts: ["threads.net"] },
+  { source: "bluesky", channel: "social", hosts: ["bsky.app"] },
+  {
+    source: "mastodon",
+    channel: "social",
+    hosts: ["mastodon.social", "fosstodon.org"],
+  },
+  { source: "gmail", channel: "email", hosts: ["mail.google.com"] },
+  {
+    source: "outlook",
+    channel: "email",
+    hosts: ["outlook.live.com", "outlook.office.com", "outlook.office365.com"],
+  },
+  { source: "yahoo mail", channel: "email", hosts: ["mail.yahoo.com"] },
+  { source: "proton mail", channel: "email", hosts: ["mail.proton.me"] },
+  { source: "bing", channel: "search", hosts: ["bing.com"] },
+  { source: "duckduckgo", channel: "search", hosts: ["duckduckgo.com"] },
+  { source: "yahoo", channel: "search", hosts: ["search.yahoo.com"] },
+  { source: "ecosia", channel: "search", hosts: ["ecosia.org"] },
+  { source: "brave", channel: "search", hosts: ["search.brave.com"] },
+  { source: "baidu", channel: "search", hosts: ["baidu.com"] },
+];
+
+// search engines with a domain per country, eg. google.co.uk or yandex.ru
+const searchEngines = ["google", "yandex"];
+
+// link shims and mobile versions of the same site, eg. l.facebook.com
+const prefixes = /^(www|m|mobile|l|lm|out|old|new)\./;
+
+function findSource(hostname) {
+  const host = hostname.replace(prefixes, "");
+  const known = sources.find((item) =>
+    item.hosts.some(
+      (knownHost) => host === knownHost || host.endsWith(`.${knownHost}`),
+    ),
+  );
+  if (known) {
+    return { source: known.source, channel: known.channel };
+  }
+
+  const engine = searchEngines.find((name) =>
+    new RegExp(`(^|\\.)${name}\\.[a-z.]+$`).test(host),
+  );
+  if (engine) {
+    return { source: engine, channel: "search" };
+  }
+
+  return { source: host, channel: "referral" };
+}
+
+// source (eg. "twitter") and channel (eg. "social") of a referer url
+export default function classifyReferer(referer) {
+  let hostname;
+  try {
+    hostname = new URL(referer).hostname.toLowerCase();
+  } catch (e) {
+    return { source: "direct", channel: "direct" };
+  }
+
+  if (hostname === new URL(clientEnv.NEXT_PUBLIC_BASE_URL).hostname) {
+    return { source: hostname, channel: "internal" };
+  }
+
+  return findSource(hostname);
+}
+
+// campaign query params of a profile visit, eg. `?utm_source=newsletter`
+export function getCampaign(query = {}) {
+  return {
+    utmSources: toStatsKey(query.utm_source),
+    utmCampaigns: toStatsKey(query.utm_campaign),
+    refs: toStatsKey(query.ref),
+  };
+}
+
+// the profile page remembers where the visit came from for the link clicks
+// that follow, only the click api path receives the cookie
+const sourceCookie = "visit-source";
+const sourceCookieMinutes = 30;
+
+export function setVisitSource(res, username, source) {
+  const cookie = [
+    `${sourceCookie}=${encodeURIComponent(source)}`,
+    `Path=/api/profiles/${encodeURIComponent(username)}/links`,
+    `Max-Age=${sourceCookieMinutes * 60}`,
+    "HttpOnly",
+    "SameSite=Lax",
+  ].join("; ");
+
+  const cookies = res.getHeader("Set-Cookie") || [];
+  res.setHeader("Set-Cookie", [].concat(cookies, cookie));
+}
+
+// "-" when the click did not come from a profile visit we know of
+export function getVisitSource(req) {
+  return toStatsKey(req.cookies?.[sourceCookie]) || "-";
+}
+
+// stats maps can not have `.` in their keys and the values come from the
+// visitor, so keep them short and simple
+export function toStatsKey(value) {
+  if (Array.isArray(value)) {
+    value = value[0];
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const key = value
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9 _\-.]/g, "")
+    .replaceAll(".", "|")
+    .slice(0, 64);
+
+  return key || null;
+}
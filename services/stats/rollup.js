@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+
+import logger from "@config/logger";
+import { LinkStats, ProfileStats } from "@models/index";
+
+export const minRollupAfterDays = 35;
+export const defaultRollupAfterDays = 400;
+const maxGroupsPerRun = 1000;
+
+// only whole months are compacted, so start from the month the age falls in
+export function rollupCutoff(afterDays = defaultRollupAfterDays) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - Math.max(afterDays, minRollupAfterDays));
+  cutoff.setDate(1);
+  cutoff.setHours(0, 0, 0, 0);
+
+  return cutoff;
+}
+
+// same 1am time as the daily documents, on the first day of the month
+export const monthDate = ({ year, month }) => new Date(year, month - 1, 1, 1);
+
+// adds up a list of referer/country maps into `$inc` keys
+function mergeMaps(increment, prefix, maps) {
+  maps.forEach((map) => {
+    Object.entries(map || {}).forEach(([name, value]) => {
+      const key = `${prefix}.${name}`;
+      increment[key] = (increment[key] || 0) + value;
+    });
+  });
+}
+
+// the daily documents are marked with a rollup id that is recorded on the
+// month in the same update as the increment, if a run fails before they are
+// deleted the next run finds the id on the month and only deletes them
+async function compactMonth(Model, group, month, increment, set) {
+  const rollup = group._id.rollup || new mongoose.Types.ObjectId();
+  if (!group._id.rollup) {
+    await Model.updateMany({ _id: { $in: group.ids } }, { $set: { rollup } });
+  }
+
+  await Model.updateOne(month, { $setOnInsert: set }, { upsert: true });
+  await Model.updateOne(
+    { ...month, rollups: { $ne: rollup } },
+    { $inc: increment, $set: set, $push: { rollups: rollup } },
+  );
+  await Model.deleteMany({ _id: { $in: group.ids }, rollup });
+  await Model.updateOne(month, { $pull: { rollups: rollup } });
+}
+
+const dailyMatch = (cutoff) => ({
+  granularity: { $ne: "month" },
+  date: { $lt: cutoff },
+});
+
+const profileStatsMaps = [
+  "referers",
+  "countries",
+  "sources",
+  "channels",
+  "utmSources",
+  "utmCampaigns",
+  "refs",
+];
+
+const linkStatsMaps = [
+  "referers",
+  "countries",
+  "devices",
+  "sources",
+  "variantViews",
+  "variants",
+];
+
+const pushMaps = (keys) =>
+  Object.fromEntries(keys.map((key) => [key, { $push: `$stats.${key}` }]));
+
+// daily documents and `monthDate` use the server time zone, not utc
+const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const monthGroup = {
+  year: { $year: { date: "$date", timezone } },
+  month: { $month: { date: "$date", timezone } },
+};
+
+export async function rollupProfileStats(cutoff) {
+  const groups = await ProfileStats.aggregate([
+    { $match: dailyMatch(cutoff) },
+    {
+      $group: {
+        _id: { username: "$username", rollup: "$rollup", ...monthGroup },
+        ids: { $push: "$_id" },
+        profile: { $first: "$profile" },
+        views: { $sum: "$views" },
+        visitors: { $sum: "$visitors" },
+        ...pushMaps(profileStatsMaps),
+      },
+    },
+    { $limit: maxGroupsPerRun },
+  ]).allowDiskUse(true);
+
+  let compacted = 0;
+  for (const group of groups) {
+    const increment = { views: group.views, visitors: group.visitors };
+    profileStatsMaps.forEach((key) =>
+      mergeMaps(increment, `stats.${key}`, group[key]),
+    );
+
+    try {
+      await compactMonth(
+        ProfileStats,
+        group,
+        {
+          username: group._id.username,
+          date: monthDate(group._id),
+          granularity: "month",
+        },
+        increment,
+        { profile: group.profile },
+      );
+      compacted += group.ids.length;
+    } catch (e) {
+      logger.error(
+        e,
+        `failed to rollup profile stats for ${group._id.username} ${group._id.year}-${group._id.month}`,
+      );
+    }
+  }
+
+  return { months: groups.length, days: compacted };
+}
+
+export async function rollupLinkStats(cutoff) {
+  const groups = await LinkStats.aggregate([
+    { $match: dailyMatch(cutoff) },
+    {
+      $group: {
+        _id: { link: "$link", rollup: "$rollup", ...monthGroup },
+        ids: { $push: "$_id" },
+        username: { $first: "$username" },
+        url: { $first: "$url" },
+        profile: { $first: "$profile" },
+        clicks: { $sum: "$clicks" },
+        ...pushMaps(linkStatsMaps),
+      },
+    },
+    { $limit: maxGroupsPerRun },
+  ]).allowDiskUse(true);
+
+  let compacted = 0;
+  for (const group of groups) {
+    const increment = { clicks: group.clicks };
+    linkStatsMaps.forEach((key) =>
+      mergeMaps(increment, `stats.${key}`, group[key]),
+    );
+
+    try {
+      await compactMonth(
+        LinkStats,
+        group,
+        {
+          link: group._id.link,
+          date: monthDate(group._id),
+          granularity: "month",
+        },
+        increment,
+        {
+          username: group.username,
+          url: group.url,
+          profile: group.profile,
+        },
+      );
+      compacted += group.ids.length;
+    } catch (e) {
+      logger.error(
+        e,
+        `failed to rollup link stats for ${group._id.link} ${group._id.year}-${group._id.month}`,
+      );
+    }
+  }
+
+  return { months: groups.length, days: compacted };
+}
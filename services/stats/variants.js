@@ -0,0 +1,67 @@
+import crypto from "crypto";
+
+import { clickThroughRate } from "@services/stats/range";
+import { getLinkNames } from "@services/utils/link/variants";
+
+// 95% confidence for a two sided test
+const significantZ = 1.96;
+const minViews = 30;
+
+// stats map key for a link name, names can contain anything
+export const variantKey = (name) =>
+  crypto.createHash("sha256").update(name).digest("hex").slice(0, 12);
+
+// the same visitor always sees the same name for a link, nothing about
+// them is stored as the pick comes from their ip address and browser
+export function pickVariant(link, { ip, userAgent }) {
+  const names = getLinkNames(link);
+  if (names.length < 2) {
+    return link.name;
+  }
+
+  const hash = crypto
+    .createHash("sha256")
+    .update([link._id, ip || "", userAgent || ""].join("|"))
+    .digest();
+
+  return names[hash.readUInt32BE(0) % names.length];
+}
+
+// two proportion z-test of each alternate name against the link name,
+// the winner is the best name that beats the original with confidence
+export function compareVariants(variants) {
+  const [original] = variants;
+
+  const results = variants.map((variant, index) => {
+    const ctr = clickThroughRate(variant.clicks, variant.views);
+    if (index === 0 || variant.views < minViews || original.views < minViews) {
+      return { ...variant, ctr, z: null, isSignificant: false };
+    }
+
+    const pooled =
+      (variant.clicks + original.clicks) / (variant.views + original.views);
+    const error = Math.sqrt(
+      pooled * (1 - pooled) * (1 / variant.views + 1 / original.views),
+    );
+    const z = error
+      ? (variant.clicks / variant.views - original.clicks / original.views) /
+        error
+      : 0;
+
+    return {
+      ...variant,
+      ctr,
+      z: Math.round(z * 100) / 100,
+      isSignificant: Math.abs(z) >= significantZ,
+    };
+  });
+
+  const winner = results
+    .filter((variant) => variant.isSignificant && variant.z > 0)
+    .sort((a, b) => b.ctr - a.ctr)[0];
+
+  return results.map((variant) => ({
+    ...variant,
+    isWinner: variant.name === winner?.name,
+  }));
+}
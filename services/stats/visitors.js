@@ -0,0 +1,49 @@
+import crypto from "crypto";
+
+import logger from "@config/logger";
+import { ProfileVisitor, VisitorSalt } from "@models/index";
+
+let dailySalt = { date: null, salt: null };
+
+// shared by all instances for the day, created by whoever needs it first
+async function getDailySalt(date) {
+  if (dailySalt.date?.getTime() === date.getTime()) {
+    return dailySalt.salt;
+  }
+
+  const visitorSalt = await VisitorSalt.findOneAndUpdate(
+    { date },
+    { $setOnInsert: { salt: crypto.randomBytes(32).toString("hex") } },
+    { upsert: true, new: true },
+  );
+  dailySalt = { date, salt: visitorSalt.salt };
+
+  return dailySalt.salt;
+}
+
+// true the first time the visitor is seen on the profile that day,
+// only a salted hash is stored and never the ip address itself
+export default async function isNewVisitor({ username, date, ip, userAgent }) {
+  if (!ip) {
+    return false;
+  }
+
+  try {
+    const salt = await getDailySalt(date);
+    const hash = crypto
+      .createHash("sha256")
+      .update([salt, username, ip, userAgent || ""].join("|"))
+      .digest("hex");
+
+    const result = await ProfileVisitor.updateOne(
+      { username, date, hash },
+      { $setOnInsert: { username, date, hash } },
+      { upsert: true },
+    );
+
+    return result.upsertedCount > 0;
+  } catch (e) {
+    logger.error(e, `failed to record unique visitor for ${username}`);
+    return false;
+  }
+}
@@ -0,0 +1,23 @@
+// quote values containing separators, quotes or new lines
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+export const toCsvRow = (values) => `${values.map(escapeCsv).join(",")}\n`;
+
+// `github|com` map keys back to hostnames
+export const fromStatsKeys = (map) =>
+  Object.fromEntries(
+    Object.entries(map || {}).map(([name, count]) => [
+      name.replaceAll("|", "."),
+      count,
+    ]),
+  );
+
+// as "name=count;name=count"
+export const mapToCsv = (map) =>
+  Object.entries(fromStatsKeys(map))
+    .map(([name, count]) => `${name}=${count}`)
+    .join(";");
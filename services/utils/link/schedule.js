@@ -0,0 +1,23 @@
+// "scheduled" before `startsAt`, "expired" from `endsAt`, otherwise "live"
+export function getLinkSchedule(link, now = new Date()) {
+  if (link.startsAt && new Date(link.startsAt) > now) {
+    return "scheduled";
+  }
+  if (link.endsAt && new Date(link.endsAt) <= now) {
+    return "expired";
+  }
+
+  return "live";
+}
+
+export function isLinkLive(link, now = new Date()) {
+  return getLinkSchedule(link, now) === "live";
+}
+
+export function validateLinkSchedule({ startsAt, endsAt }) {
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    return { endsAt: "End date must be after the start date" };
+  }
+
+  return null;
+}
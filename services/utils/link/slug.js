@@ -0,0 +1,41 @@
+// short aliases for links, eg. `/eddiejaoude/go/slides`
+export const maxSlugLength = 32;
+
+// words that could be confused with pages or be misleading
+export const reservedSlugs = [
+  "account",
+  "admin",
+  "api",
+  "biodrop",
+  "edit",
+  "go",
+  "link",
+  "links",
+  "login",
+  "logout",
+  "new",
+  "settings",
+  "stats",
+  "unavailable",
+];
+
+const slugPattern = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+export const formatSlug = (slug) => (slug || "").trim().toLowerCase();
+
+export function validateLinkSlug({ slug }) {
+  if (!slug) {
+    return null;
+  }
+
+  if (slug.length > maxSlugLength || !slugPattern.test(slug)) {
+    return {
+      slug: `Alias can only contain letters, numbers and dashes (max ${maxSlugLength} characters)`,
+    };
+  }
+  if (reservedSlugs.includes(slug)) {
+    return { slug: `"${slug}" is reserved, please choose another alias` };
+  }
+
+  return null;
+}
@@ -0,0 +1,99 @@
+export const utmParams = ["source", "medium", "campaign"];
+
+// placeholders that can be used in the values, eg. `{username}`
+export const utmVariables = ["username", "group", "name"];
+
+export const utmModes = ["profile", "custom", "off"];
+
+export const defaultUtm = {
+  source: "biodrop",
+  medium: "profile",
+  campaign: "{username}",
+};
+
+const maxUtmLength = 64;
+
+// a link follows the profile settings unless it has its own or opts out
+export function getUtmSettings(profileUtm, linkUtm) {
+  const mode = linkUtm?.mode || "profile";
+  if (mode === "off" || (mode === "profile" && !profileUtm?.isEnabled)) {
+    return null;
+  }
+
+  return Object.fromEntries(
+    utmParams.map((param) => [
+      param,
+      (mode === "custom" && linkUtm[param]) ||
+        profileUtm?.[param] ||
+        defaultUtm[param],
+    ]),
+  );
+}
+
+export function renderUtmTemplate(template, values = {}) {
+  return (template || "")
+    .replace(/\{(\w+)\}/g, (match, key) =>
+      utmVariables.includes(key) ? values[key] || "" : match,
+    )
+    .trim();
+}
+
+// appends the utm params without re-encoding the existing query string,
+// params already in the url are left as they are
+export function tagUrl(url, settings, values) {
+  if (!settings) {
+    return url;
+  }
+
+  let tagged;
+  try {
+    tagged = new URL(url);
+  } catch (e) {
+    return url;
+  }
+  if (!["http:", "https:"].includes(tagged.protocol)) {
+    return url;
+  }
+
+  const params = new URLSearchParams();
+  utmParams.forEach((param) => {
+    const value = renderUtmTemplate(settings[param], values);
+    if (value && !tagged.searchParams.has(`utm_${param}`)) {
+      params.set(`utm_${param}`, value);
+    }
+  });
+  const query = params.toString();
+  if (!query) {
+    return url;
+  }
+
+  tagged.search = tagged.search ? `${tagged.search}&${query}` : query;
+
+  return tagged.toString();
+}
+
+export function getTaggedUrl(link, profileUtm) {
+  return tagUrl(link.url, getUtmSettings(profileUtm, link.utm), {
+    username: link.username,
+    group: link.group,
+    name: link.name,
+  });
+}
+
+export function validateUtm(utm) {
+  if (!utm) {
+    return null;
+  }
+
+  const errors = {};
+  if (utm.mode !== undefined && !utmModes.includes(utm.mode)) {
+    errors["utm.mode"] = `${utm.mode} is not a supported utm setting`;
+  }
+  utmParams.forEach((param) => {
+    if (utm[param] && `${utm[param]}`.length > maxUtmLength) {
+      errors[`utm.${param}`] = `Must be at most ${maxUtmLength} characters`;
+    }
+  });
+
+  return Object.keys(errors).length ? errors : null;
+}
@@ -0,0 +1,25 @@
+// alternate names shown to some visitors instead of the link name
+export const maxVariants = 3;
+
+export const getLinkNames = (link) => [link.name, ...(link.variants || [])];
+
+export function validateLinkVariants({ name, variants }) {
+  if (!variants) {
+    return null;
+  }
+
+  if (!Array.isArray(variants) || variants.length > maxVariants) {
+    return { variants: `At most ${maxVariants} alternate names` };
+  }
+  if (variants.some((variant) => typeof variant !== "string" || !variant)) {
+    return { variants: "Alternate names can not be empty" };
+  }
+  if (variants.some((variant) => variant.length > 128)) {
+    return { variants: "Alternate names must be at most 128 characters" };
+  }
+  if (new Set([name, ...variants]).size !== variants.length + 1) {
+    return { variants: "Alternate names must be different from each other" };
+  }
+
+  return null;
+}
@@ -0,0 +1,17 @@
+export const encodeCursor = ({ score, _id }) =>
+  Buffer.from(JSON.stringify({ score, _id })).toString("base64url");
+
+export const decodeCursor = (cursor) => {
+  try {
+    const { score, _id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString(),
+    );
+    if (typeof score !== "number" || !/^[a-f\d]{24}$/i.test(_id)) {
+      return null;
+    }
+
+    return { score, _id };
+  } catch (e) {
+    return null;
+  }
+};
@@ -0,0 +1,59 @@
+export const updatedWithinDays = [7, 30, 90];
+
+export const defaultSearchFilters = {
+  tags: [],
+  tagMode: "and",
+  country: "",
+  upcomingEvents: false,
+  hasRepos: false,
+  speaking: false,
+  premium: false,
+  updatedWithin: 0,
+};
+
+const splitList = (value = "") =>
+  value
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter((item) => item);
+
+export const parseSearchFilters = (query = {}) => ({
+  tags: splitList(query.tags),
+  tagMode: query.tagMode === "or" ? "or" : "and",
+  country: (query.country || "").trim().toLowerCase(),
+  upcomingEvents: query.upcomingEvents === "true",
+  hasRepos: query.hasRepos === "true",
+  speaking: query.speaking === "true",
+  premium: query.premium === "true",
+  updatedWithin: Math.max(parseInt(query.updatedWithin) || 0, 0),
+});
+
+export const hasSearchFilters = (filters) =>
+  filters.tags.length > 0 ||
+  !!filters.country ||
+  filters.upcomingEvents ||
+  filters.hasRepos ||
+  filters.speaking ||
+  filters.premium ||
+  filters.updatedWithin > 0;
+
+export const searchFiltersToParams = (filters) => {
+  const params = {};
+  if (filters.tags.length) {
+    params.tags = filters.tags.join(",");
+    params.tagMode = filters.tagMode;
+  }
+  if (filters.country) {
+    params.country = filters.country;
+  }
+  ["upcomingEvents", "hasRepos", "speaking", "premium"].forEach((flag) => {
+    if (filters[flag]) {
+      params[flag] = "true";
+    }
+  });
+  if (filters.updatedWithin) {
+    params.updatedWithin = filters.updatedWithin.toString();
+  }
+
+  return params;
+};
@@ -0,0 +1,70 @@
+// allow more typos the longer the word is
+export const maxDistanceFor = (term) =>
+  term.length <= 4 ? 1 : term.length <= 8 ? 2 : 3;
+
+// edit distance counting insert, delete, substitute and swapping neighbours,
+// stops early and returns `max + 1` once the distance is above `max`
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// closest vocabulary items first, most popular first when equally close
+export const fuzzyMatches = (term, vocabulary = [], limit = 5) => {
+  const cleanTerm = term.trim().toLowerCase();
+  if (!cleanTerm) {
+    return [];
+  }
+
+  const max = maxDistanceFor(cleanTerm);
+  return vocabulary
+    .map((item) => ({
+      ...item,
+      distance: editDistance(cleanTerm, item.name.toLowerCase(), max),
+    }))
+    .filter((item) => item.distance <= max)
+    .sort((a, b) => a.distance - b.distance || b.total - a.total)
+    .slice(0, limit);
+};
+
+export const didYouMean = (terms = [], vocabulary = []) => {
+  let changed = false;
+  const suggestion = terms.map((term) => {
+    const match = fuzzyMatches(term, vocabulary, 1)[0];
+    if (match && match.distance > 0) {
+      changed = true;
+      return match.name;
+    }
+
+    return term;
+  });
+
+  return changed ? suggestion.join(", ") : null;
+};
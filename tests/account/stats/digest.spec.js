@@ -0,0 +1,106 @@
+import { test, expect } from "@playwright/test";
+import fs from "fs";
+import path from "path";
+
+import connectMongo from "@config/mongo";
+import { serverEnv } from "@config/schemas/serverSchema";
+import { PROJECT_NAME } from "@constants/index";
+import { Profile, User } from "@models/index";
+import { unsubscribeToken } from "@services/mail/unsubscribe";
+
+test("Weekly digest job requires the api secret", async ({ request }) => {
+  const res = await request.get("/api/system/digest");
+  expect(res.status()).toBe(401);
+});
+
+test("Weekly digest job sends to opted in profiles", async ({ request }) => {
+  await connectMongo();
+  const username = "_test-profile-user-5";
+  const user = await User.findOneAndUpdate(
+    { email: "test-profile-user-5@test.com" },
+    { name: "Test User Name 5", type: "free" },
+    { new: true, upsert: true },
+  );
+  await Profile.updateOne(
+    { username },
+    {
+      user: user._id,
+      "digest.isEnabled": true,
+      $unset: { "digest.lastSentAt": 1 },
+    },
+  );
+
+  // the e2e server saves emails as json files, see `playwright.config.js`
+  const mailDir = path.resolve(serverEnv.MAIL_FILE_DIR || "mail");
+  const sentAfter = Date.now();
+  const res = await request.get(
+    `/api/system/digest?secret=${serverEnv.BIODROP_API_SECRET}`,
+  );
+  expect(res.status()).toBe(200);
+  const data = await res.json();
+  expect(data.failed).toBe(0);
+  expect(data.sent).toBeGreaterThan(0);
+
+  const messages = fs
+    .readdirSync(mailDir)
+    .filter((file) => parseInt(file) >= sentAfter)
+    .map((file) => JSON.parse(fs.readFileSync(path.join(mailDir, file))))
+    .filter((message) => message.to === user.email);
+  expect(messages).toHaveLength(1);
+
+  const [message] = messages;
+  expect(message.subject).toMatch(
+    new RegExp(`^Your ${PROJECT_NAME} week: \\S+ views and \\S+ clicks$`),
+  );
+  expect(message.headers["List-Unsubscribe"]).toContain(
+    `/api/digest/unsubscribe?username=${username}&token=${unsubscribeToken(username)}`,
+  );
+  expect(message.headers["List-Unsubscribe-Post"]).toBe(
+    "List-Unsubscribe=One-Click",
+  );
+});
+
+test("Unsubscribe link turns off the weekly digest", async ({ page }) => {
+  await connectMongo();
+  const username = "_test-profile-user-5";
+  await Profile.updateOne({ username }, { "digest.isEnabled": true });
+
+  await page.goto(`/digest/unsubscribe?username=${username}&token=invalid`);
+  await expect(page.locator("h1")).toHaveText("Unsubscribe link is not valid");
+
+  await page.goto(
+    `/digest/unsubscribe?username=${username}&token=${unsubscribeToken(
+      username,
+    )}`,
+  );
+  // opening the link alone does not unsubscribe, eg. mail scanners
+  await expect(page.locator("h1")).toHaveText(
+    "Unsubscribe from the weekly digest",
+  );
+  expect((await Profile.findOne({ username })).digest.isEnabled).toBe(true);
+
+  await page.getByRole("button", { name: "Unsubscribe" }).click();
+  await expect(page.locator("h1")).toHaveText("You have been unsubscribed");
+  const profile = await Profile.findOne({ username });
+  expect(profile.digest.isEnabled).toBe(false);
+});
+
+test("One-click unsubscribe turns off the weekly digest", async ({
+  request,
+}) => {
+  await connectMongo();
+  const username = "_test-profile-user-5";
+  await Profile.updateOne({ username }, { "digest.isEnabled": true });
+  const url = `/api/digest/unsubscribe?username=${username}&token=${unsubscribeToken(
+    username,
+  )}`;
+
+  expect((await request.get(url)).status()).toBe(400);
+
+  const res = await request.post(url, {
+    form: { "List-Unsubscribe": "One-Click" },
+  });
+  expect(res.status()).toBe(200);
+  const profile = await Profile.findOne({ username });
+  expect(profile.digest.isEnabled).toBe(false);
+});
@@ -0,0 +1,44 @@
+import { test, expect } from "@playwright/test";
+import { login, logout } from "../../setup/auth";
+
+test("Guest user cannot access funnel stats", async ({ browser }) => {
+  const context = await logout(browser);
+  const res = await context.request.get("/api/account/statistics/funnel");
+  expect(res.status()).toBe(401);
+});
+
+test("Link clicks are attributed to the source of the profile visit", async ({
+  browser,
+}) => {
+  const guest = await logout(browser);
+  const page = await guest.newPage();
+  await page.goto("/_test-profile-user-6", {
+    referer: "https://www.linkedin.com/feed",
+  });
+  const links = page.locator(
+    'a[href*="/api/profiles/_test-profile-user-6/links/"]',
+  );
+  test.skip(!(await links.count()), "test user has no links");
+
+  const href = await links.first().getAttribute("href");
+  await guest.request.get(href, {
+    maxRedirects: 0,
+    headers: { "accept-language": "en-GB" },
+  });
+
+  const context = await login(browser);
+  const res = await context.request.get(
+    "/api/account/statistics/funnel?days=7",
+  );
+  expect(res.status()).toBe(200);
+  const data = await res.json();
+  const linkedin = data.sources.find((item) => item.name === "linkedin");
+  expect(linkedin.views).toBeGreaterThan(0);
+  expect(linkedin.clicks).toBeGreaterThan(0);
+  expect(data.total.ctr).toBeGreaterThan(0);
+  expect(data.daily.length).toBe(7);
+
+  const funnelPage = await context.newPage();
+  await funnelPage.goto("/account/statistics/funnel");
+  await expect(funnelPage.locator("h3").getByText("Sources")).toBeVisible();
+});
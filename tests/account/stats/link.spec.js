@@ -0,0 +1,31 @@
+import { test, expect } from "@playwright/test";
+import { login, logout } from "../../setup/auth";
+
+test("Guest user cannot access link stats", async ({ browser }) => {
+  const context = await logout(browser);
+  const page = await context.newPage();
+  await page.goto("/account/statistics");
+  await expect(page).toHaveURL("/auth/signin");
+});
+
+test("Link stats include country, referer and device breakdowns", async ({
+  browser,
+}) => {
+  const context = await login(browser);
+  const linksRes = await context.request.get("/api/account/manage/links");
+  const links = await linksRes.json();
+  test.skip(!links.length, "test user has no links");
+
+  const res = await context.request.get(
+    `/api/account/statistics/link/${links[0]._id}`,
+  );
+  expect(res.status()).toBe(200);
+  const data = await res.json();
+  expect(Array.isArray(data.countries)).toBe(true);
+  expect(Array.isArray(data.referers)).toBe(true);
+  expect(Array.isArray(data.devices)).toBe(true);
+
+  const page = await context.newPage();
+  await page.goto(`/account/statistics/link/${links[0]._id}`);
+  await expect(page).toHaveURL(`/account/statistics/link/${links[0]._id}`);
+});
@@ -0,0 +1,35 @@
+import { test, expect } from "@playwright/test";
+import { login, logout } from "../../setup/auth";
+
+test("Guest user cannot access referer stats", async ({ browser }) => {
+  const context = await logout(browser);
+  const res = await context.request.get("/api/account/statistics/referers");
+  expect(res.status()).toBe(401);
+});
+
+test("Profile visits are grouped by source and campaign", async ({
+  browser,
+}) => {
+  const guest = await logout(browser);
+  const page = await guest.newPage();
+  await page.goto(
+    "/_test-profile-user-6?utm_source=newsletter&utm_campaign=launch&ref=cv",
+    { referer: "https://t.co/abc123" },
+  );
+
+  const context = await login(browser);
+  const res = await context.request.get(
+    "/api/account/statistics/referers?days=7",
+  );
+  expect(res.status()).toBe(200);
+  const data = await res.json();
+  expect(data.sources.map((item) => item.name)).toContain("twitter");
+  expect(data.channels.map((item) => item.name)).toContain("social");
+  expect(data.utmSources.map((item) => item.name)).toContain("newsletter");
+  expect(data.utmCampaigns.map((item) => item.name)).toContain("launch");
+  expect(data.refs.map((item) => item.name)).toContain("cv");
+
+  const statsPage = await context.newPage();
+  await statsPage.goto("/account/statistics/referers");
+  await expect(statsPage.locator("h3").getByText("Channels")).toBeVisible();
+});
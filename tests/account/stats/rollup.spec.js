@@ -0,0 +1,126 @@
+import { test, expect } from "@playwright/test";
+import mongoose from "mongoose";
+
+import connectMongo from "@config/mongo";
+import { serverEnv } from "@config/schemas/serverSchema";
+import { ProfileStats } from "@models/index";
+
+test("Rollup job requires the api secret", async ({ request }) => {
+  const res = await request.get("/api/system/rollup");
+  expect(res.status()).toBe(401);
+});
+
+test("Old daily profile stats are rolled up into months", async ({
+  request,
+}) => {
+  await connectMongo();
+  const username = "_test-profile-user-5";
+  const day = new Date();
+  day.setDate(day.getDate() - 500);
+  day.setDate(10);
+  day.setHours(1, 0, 0, 0);
+  const nextDay = new Date(day);
+  nextDay.setDate(11);
+
+  await ProfileStats.create([
+    {
+      username,
+      date: day,
+      views: 2,
+      stats: { referers: { "github|com": 2 }, countries: { GB: 2 } },
+    },
+    {
+      username,
+      date: nextDay,
+      views: 3,
+      stats: { referers: { "github|com": 1, "google|com": 2 } },
+    },
+  ]);
+
+  const res = await request.get(
+    `/api/system/rollup?secret=${serverEnv.BIODROP_API_SECRET}`,
+  );
+  expect(res.status()).toBe(200);
+
+  const days = await ProfileStats.countDocuments({
+    username,
+    date: { $in: [day, nextDay] },
+  });
+  expect(days).toBe(0);
+
+  const month = await ProfileStats.findOne({
+    username,
+    granularity: "month",
+    date: new Date(day.getFullYear(), day.getMonth(), 1, 1),
+  });
+  expect(month.views).toBeGreaterThanOrEqual(5);
+  expect(month.stats.referers.get("github|com")).toBeGreaterThanOrEqual(3);
+  expect(month.stats.referers.get("google|com")).toBeGreaterThanOrEqual(2);
+});
+
+test("First day of the month is rolled up into its own month", async ({
+  request,
+}) => {
+  await connectMongo();
+  const username = "_test-profile-user-4";
+  const day = new Date();
+  day.setDate(day.getDate() - 500);
+  day.setDate(1);
+  day.setHours(1, 0, 0, 0);
+  const month = new Date(day.getFullYear(), day.getMonth(), 1, 1);
+  // the month before would get the day when grouping in utc
+  const nearby = {
+    username,
+    granularity: "month",
+    date: {
+      $gte: new Date(day.getFullYear(), day.getMonth() - 1, 1),
+      $lt: new Date(day.getFullYear(), day.getMonth() + 1, 1),
+    },
+  };
+  await ProfileStats.deleteMany(nearby);
+
+  await ProfileStats.create({ username, date: day, views: 4 });
+
+  const res = await request.get(
+    `/api/system/rollup?secret=${serverEnv.BIODROP_API_SECRET}`,
+  );
+  expect(res.status()).toBe(200);
+
+  const months = await ProfileStats.find(nearby);
+  expect(months.map((item) => item.date.getTime())).toEqual([month.getTime()]);
+  expect(months[0].views).toBe(4);
+});
+
+test("Rolling up again after a failed run does not count days twice", async ({
+  request,
+}) => {
+  await connectMongo();
+  const username = "_test-profile-user-3";
+  const day = new Date();
+  day.setDate(day.getDate() - 560);
+  day.setDate(12);
+  day.setHours(1, 0, 0, 0);
+  const date = new Date(day.getFullYear(), day.getMonth(), 1, 1);
+  await ProfileStats.deleteMany({ username, granularity: "month", date });
+
+  // a run that added the day to the month but failed before deleting it
+  const rollup = new mongoose.Types.ObjectId();
+  await ProfileStats.create([
+    { username, date: day, views: 6, rollup },
+    { username, date, granularity: "month", views: 6, rollups: [rollup] },
+  ]);
+
+  const res = await request.get(
+    `/api/system/rollup?secret=${serverEnv.BIODROP_API_SECRET}`,
+  );
+  expect(res.status()).toBe(200);
+
+  expect(await ProfileStats.countDocuments({ username, date: day })).toBe(0);
+  const month = await ProfileStats.findOne({
+    username,
+    granularity: "month",
+    date,
+  });
+  expect(month.views).toBe(6);
+  expect(month.rollups).toHaveLength(0);
+});
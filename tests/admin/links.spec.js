@@ -0,0 +1,221 @@
+import { test, expect } from "@playwright/test";
+import { login, logout } from "../setup/auth";
+import { serverEnv } from "@config/schemas/serverSchema";
+import connectMongo from "@config/mongo";
+import { Changelog, User } from "@models/index";
+import { startLinkServer } from "../util/link-server";
+
+const adminUser = {
+  name: "Automated Test Admin User",
+  email: "test-admin-user@test.com",
+  username: "_test-admin-user",
+  type: "free",
+};
+
+test("Guest user cannot access admin broken links", async ({ browser }) => {
+  // fixture: make sure user is not logged in
+  const context = await logout(browser);
+  const page = await context.newPage();
+  await page.goto("/admin/links");
+  await expect(page).toHaveURL(/auth\/signin/);
+});
+
+test("Logged in user cannot access admin broken links", async ({ browser }) => {
+  const context = await login(browser);
+  const page = await context.newPage();
+  await page.goto("/admin/links");
+  await expect(page).toHaveURL(/404/);
+});
+
+test("Link checker records broken links", async ({ browser }) => {
+  const server = await startLinkServer();
+  const context = await login(browser);
+
+  const links = [];
+  for (const path of ["/status/404", "/no-head"]) {
+    const res = await context.request.post("/api/account/manage/link", {
+      data: {
+        name: `Checked ${path}`,
+        url: `${server.url}${path}`,
+        icon: "FaGlobe",
+        isEnabled: true,
+      },
+    });
+    links.push(await res.json());
+  }
+
+  const res = await context.request.get(
+    `/api/system/links?username=_test-profile-user-6&secret=${serverEnv.BIODROP_API_SECRET}`,
+  );
+  expect(res.status()).toBe(200);
+
+  const [broken, working] = await Promise.all(
+    links.map(async (link) =>
+      (
+        await context.request.get(`/api/account/manage/link/${link._id}`)
+      ).json(),
+    ),
+  );
+  expect(broken.health.status).toBe(404);
+  expect(broken.health.failures).toBe(1);
+  expect(broken.health.checkedAt).toBeTruthy();
+  expect(working.health.status).toBe(200);
+  expect(working.health.failures).toBe(0);
+
+  const admin = await login(browser, adminUser);
+  const report = await (await admin.request.get("/api/admin/links")).json();
+  expect(report.links.map((link) => link._id)).toContain(broken._id);
+
+  for (const link of links) {
+    await context.request.delete(`/api/account/manage/link/${link._id}`);
+  }
+  await server.close();
+});
+
+test("Link checker requires the api secret", async ({ request }) => {
+  const res = await request.get(
+    "/api/system/links?username=_test-profile-user-6",
+  );
+  expect(res.status()).toBe(401);
+});
+
+test("Link checker does not request private addresses", async ({ browser }) => {
+  const server = await startLinkServer();
+  const context = await login(browser);
+
+  // `localhost` is not in LINK_CHECKER_ALLOW_HOSTS, unlike `127.0.0.1`
+  const links = [];
+  for (const url of [
+    server.url.replace("127.0.0.1", "localhost") + "/status/200",
+    "http://169.254.169.254/latest/meta-data",
+  ]) {
+    const res = await context.request.post("/api/account/manage/link", {
+      data: { name: "Private link", url, icon: "FaGlobe", isEnabled: true },
+    });
+    links.push(await res.json());
+  }
+
+  const res = await context.request.get(
+    `/api/system/links?username=_test-profile-user-6&secret=${serverEnv.BIODROP_API_SECRET}`,
+  );
+  expect(res.status()).toBe(200);
+
+  for (const link of links) {
+    const checked = await (
+      await context.request.get(`/api/account/manage/link/${link._id}`)
+    ).json();
+    expect(checked.health.status).toBeNull();
+    expect(checked.health.error).toContain("private address");
+    await context.request.delete(`/api/account/manage/link/${link._id}`);
+  }
+  await server.close();
+});
+
+test("Unsafe link urls are rejected", async ({ browser }) => {
+  const context = await login(browser);
+  const started = new Date();
+  for (const url of ["javascript:alert(1)", "https://grabify.link/abc"]) {
+    const res = await context.request.post("/api/account/manage/link", {
+      data: { name: "Unsafe link", url, icon: "FaGlobe", isEnabled: true },
+    });
+    expect(res.status()).toBe(400);
+    const data = await res.json();
+    expect(Object.keys(data.message)).toContain("url");
+  }
+
+  await connectMongo();
+  const rejected = await Changelog.find({
+    model: "Link",
+    operation: "REJECT",
+    createdAt: { $gte: started },
+  });
+  expect(rejected.map((change) => change.diff.url)).toEqual(
+    expect.arrayContaining(["javascript:alert(1)", "https://grabify.link/abc"]),
+  );
+  rejected.forEach((change) =>
+    expect(change.diff.safety.status).toBe("rejected"),
+  );
+});
+
+test("Quarantined link is hidden until approved", async ({ browser }) => {
+  const context = await login(browser);
+  const res = await context.request.post("/api/account/manage/link", {
+    data: {
+      name: "Shortened link",
+      url: "https://bit.ly/biodrop-test",
+      icon: "FaGlobe",
+      isEnabled: true,
+    },
+  });
+  expect(res.status()).toBe(200);
+  const link = await res.json();
+  expect(link.safety.status).toBe("quarantined");
+
+  await connectMongo();
+  const quarantined = await Changelog.findOne({
+    docId: link._id,
+    operation: "QUARANTINE",
+  });
+  expect(quarantined.diff.url).toBe("https://bit.ly/biodrop-test");
+
+  const guest = await logout(browser);
+  const profileLinks = async () =>
+    (
+      await (
+        await guest.request.get("/api/profiles/_test-profile-user-6", {
+          headers: { "accept-language": "en" },
+        })
+      ).json()
+    ).links.map((item) => item._id);
+  expect(await profileLinks()).not.toContain(link._id);
+
+  const admin = await login(browser, adminUser);
+  const review = await (
+    await admin.request.get("/api/admin/links?filter=review")
+  ).json();
+  expect(review.links.map((item) => item._id)).toContain(link._id);
+
+  const approved = await admin.request.patch(`/api/admin/links/${link._id}`, {
+    data: { status: "approved" },
+  });
+  expect(approved.status()).toBe(200);
+  expect(await profileLinks()).toContain(link._id);
+
+  await context.request.delete(`/api/account/manage/link/${link._id}`);
+});
+
+test("Support users can see but not review held links", async ({ browser }) => {
+  const supportUser = {
+    name: "Automated Test Support User",
+    email: "test-support-user@test.com",
+    username: "_test-support-user",
+    type: "free",
+  };
+  const support = await login(browser, supportUser);
+  await connectMongo();
+  await User.updateOne(
+    { email: supportUser.email },
+    { $set: { roles: ["support"] } },
+  );
+
+  const context = await login(browser);
+  const res = await context.request.post("/api/account/manage/link", {
+    data: {
+      name: "Shortened link",
+      url: "https://bit.ly/biodrop-support-test",
+      icon: "FaGlobe",
+      isEnabled: true,
+    },
+  });
+  const link = await res.json();
+
+  const review = await support.request.get("/api/admin/links?filter=review");
+  expect(review.status()).toBe(200);
+
+  const approved = await support.request.patch(`/api/admin/links/${link._id}`, {
+    data: { status: "approved" },
+  });
+  expect(approved.status()).toBe(403);
+
+  await context.request.delete(`/api/account/manage/link/${link._id}`);
+});
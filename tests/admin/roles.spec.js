@@ -0,0 +1,73 @@
+import { test, expect } from "@playwright/test";
+import { login, logout } from "../setup/auth";
+import connectMongo from "@config/mongo";
+import { User } from "@models/index";
+
+const adminUser = {
+  name: "Automated Test Admin User",
+  email: "test-admin-user@test.com",
+  username: "_test-admin-user",
+  type: "free",
+};
+
+test("Guest user cannot access admin roles", async ({ browser }) => {
+  // fixture: make sure user is not logged in
+  const context = await logout(browser);
+  const page = await context.newPage();
+  await page.goto("/admin/roles");
+  await expect(page).toHaveURL(/auth\/signin/);
+});
+
+test("Logged in user cannot access admin roles", async ({ browser }) => {
+  // fixture: make sure user is logged in
+  const context = await login(browser);
+  const page = await context.newPage();
+  await page.goto("/admin/roles");
+  await expect(page).toHaveURL(/404/);
+});
+
+test("Admin user can access admin roles", async ({ browser }) => {
+  // fixture: make sure user is logged in
+  const context = await login(browser, adminUser);
+  const page = await context.newPage();
+  await page.goto("/admin/roles");
+  await expect(page).toHaveURL(/admin\/roles/);
+});
+
+test("Admin navigation only shows sections the role can access", async ({
+  browser,
+}) => {
+  const moderatorUser = {
+    name: "Automated Test Moderator User",
+    email: "test-moderator-user@test.com",
+    username: "_test-moderator-user",
+    type: "free",
+  };
+  const context = await login(browser, moderatorUser);
+  await connectMongo();
+  await User.updateOne(
+    { email: moderatorUser.email },
+    { $set: { roles: ["moderator"] } },
+  );
+
+  const page = await context.newPage();
+  await page.goto("/admin/events");
+  const nav = page.locator("nav[aria-label='Tabs']");
+  await expect(nav.getByRole("button", { name: "Events" })).toBeVisible();
+  await expect(nav.getByRole("button", { name: "Roles" })).toHaveCount(0);
+  await expect(nav.getByRole("button", { name: "Changelog" })).toHaveCount(0);
+});
+
+test("Guest user cannot call admin api", async ({ browser }) => {
+  const context = await logout(browser);
+  const res = await context.request.get("/api/admin/profiles");
+  expect(res.status()).toBe(401);
+});
+
+test("Logged in user is forbidden from admin api", async ({ browser }) => {
+  const context = await login(browser);
+  const res = await context.request.patch("/api/admin/events/123", {
+    data: { username: "_test-profile-user-6", isEnabled: false },
+  });
+  expect(res.status()).toBe(403);
+});
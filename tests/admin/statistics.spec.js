@@ -33,6 +33,22 @@ test("Admin user can access dashboard", async ({ browser }) => {
   await expect(page).toHaveURL(/admin\/statistics/);
 });
 
+test("Admin user can see the stats write backlog", async ({ browser }) => {
+  const context = await login(browser, adminUser);
+  const res = await context.request.get("/api/admin/stats");
+  const stats = await res.json();
+
+  expect(res.status()).toBe(200);
+  expect(stats.statsBuffer.pendingWrites).toBe(0);
+  expect(stats.statsBuffer.failures).toBe(0);
+
+  const page = await context.newPage();
+  await page.goto("/admin/statistics");
+  await expect(
+    page.locator("h2").getByText("Stats write buffer"),
+  ).toBeVisible();
+});
+
 test.describe("accessibility tests (light)", () => {
   test.use({ colorScheme: "light" });
 
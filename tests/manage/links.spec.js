@@ -18,6 +18,256 @@ test("Logged in user can access manage links", async ({ browser }) => {
   await expect(page).toHaveURL(/account\/manage\/links/);
 });
 
+test("Link schedule must end after it starts", async ({ browser }) => {
+  const context = await login(browser);
+  const res = await context.request.post("/api/account/manage/link", {
+    data: {
+      name: "Conference talk",
+      url: "https://example.com/talk",
+      icon: "FaGlobe",
+      isEnabled: true,
+      startsAt: "2030-01-02T00:00:00.000Z",
+      endsAt: "2030-01-01T00:00:00.000Z",
+    },
+  });
+  expect(res.status()).toBe(400);
+  const data = await res.json();
+  expect(Object.keys(data.message)).toContain("endsAt");
+});
+
+test("Link redirect adds utm tags and keeps the query string", async ({
+  browser,
+}) => {
+  const context = await login(browser);
+  const res = await context.request.post("/api/account/manage/link", {
+    data: {
+      group: "Talks",
+      name: "Conference slides",
+      url: "https://example.com/slides?page=2",
+      icon: "FaGlobe",
+      isEnabled: true,
+      utm: { mode: "custom", campaign: "{group}-{username}" },
+    },
+  });
+  expect(res.status()).toBe(200);
+  const link = await res.json();
+
+  const guest = await logout(browser);
+  const redirect = await guest.request.get(
+    `/api/profiles/_test-profile-user-6/links/${link._id}`,
+    { headers: { "accept-language": "en" }, maxRedirects: 0 },
+  );
+  const location = new URL(redirect.headers()["location"]);
+  expect(location.searchParams.get("page")).toBe("2");
+  expect(location.searchParams.get("utm_source")).toBe("biodrop");
+  expect(location.searchParams.get("utm_campaign")).toBe(
+    "Talks-_test-profile-user-6",
+  );
+
+  await context.request.delete(`/api/account/manage/link/${link._id}`);
+});
+
+test("Link utm tags are validated", async ({ browser }) => {
+  const context = await login(browser);
+  const res = await context.request.post("/api/account/manage/link", {
+    data: {
+      name: "Newsletter",
+      url: "https://example.com/newsletter",
+      icon: "FaGlobe",
+      isEnabled: true,
+      utm: { mode: "always" },
+    },
+  });
+  expect(res.status()).toBe(400);
+  const data = await res.json();
+  expect(Object.keys(data.message)).toContain("utm.mode");
+});
+
+test("Link alias redirects and must be unique", async ({ browser }) => {
+  const context = await login(browser);
+  const data = {
+    name: "My slides",
+    url: "https://example.com/my-slides",
+    icon: "FaGlobe",
+    isEnabled: true,
+    slug: "My-Slides",
+    utm: { mode: "off" },
+  };
+  const res = await context.request.post("/api/account/manage/link", { data });
+  expect(res.status()).toBe(200);
+  const link = await res.json();
+  expect(link.slug).toBe("my-slides");
+
+  const duplicate = await context.request.post("/api/account/manage/link", {
+    data: { ...data, url: "https://example.com/other-slides" },
+  });
+  expect(duplicate.status()).toBe(400);
+  expect(Object.keys((await duplicate.json()).message)).toContain("slug");
+
+  const guest = await logout(browser);
+  const redirect = await guest.request.get(
+    "/_test-profile-user-6/go/my-slides",
+    {
+      headers: { "accept-language": "en" },
+      maxRedirects: 0,
+    },
+  );
+  expect(redirect.headers()["location"]).toBe(data.url);
+
+  await context.request.delete(`/api/account/manage/link/${link._id}`);
+});
+
+test("Link alias cannot be a reserved word", async ({ browser }) => {
+  const context = await login(browser);
+  const res = await context.request.post("/api/account/manage/link", {
+    data: {
+      name: "Statistics",
+      url: "https://example.com/statistics",
+      icon: "FaGlobe",
+      isEnabled: true,
+      slug: "stats",
+    },
+  });
+  expect(res.status()).toBe(400);
+  const data = await res.json();
+  expect(Object.keys(data.message)).toContain("slug");
+});
+
+test("Link alternate name can be promoted", async ({ browser }) => {
+  const context = await login(browser);
+  const res = await context.request.post("/api/account/manage/link", {
+    data: {
+      name: "Read my blog",
+      url: "https://example.com/blog",
+      icon: "FaGlobe",
+      isEnabled: true,
+      variants: ["Latest articles"],
+    },
+  });
+  expect(res.status()).toBe(200);
+  const link = await res.json();
+
+  const stats = await context.request.get(
+    `/api/account/statistics/link/${link._id}`,
+  );
+  const data = await stats.json();
+  expect(data.variants.map((variant) => variant.name)).toEqual([
+    "Read my blog",
+    "Latest articles",
+  ]);
+
+  const unknown = await context.request.put(
+    `/api/account/manage/link/${link._id}/promote`,
+    { data: { name: "Something else" } },
+  );
+  expect(unknown.status()).toBe(400);
+
+  const promoted = await context.request.put(
+    `/api/account/manage/link/${link._id}/promote`,
+    { data: { name: "Latest articles" } },
+  );
+  expect(promoted.status()).toBe(200);
+  const updated = await promoted.json();
+  expect(updated.name).toBe("Latest articles");
+  expect(updated.variants).toEqual([]);
+
+  await context.request.delete(`/api/account/manage/link/${link._id}`);
+});
+
+test("Link alternate names must be different", async ({ browser }) => {
+  const context = await login(browser);
+  const res = await context.request.post("/api/account/manage/link", {
+    data: {
+      name: "Watch my videos",
+      url: "https://example.com/videos",
+      icon: "FaGlobe",
+      isEnabled: true,
+      variants: ["Watch my videos"],
+    },
+  });
+  expect(res.status()).toBe(400);
+  const data = await res.json();
+  expect(Object.keys(data.message)).toContain("variants");
+});
+
+test("Updating a link without alternate names keeps them", async ({
+  browser,
+}) => {
+  const context = await login(browser);
+  const link = {
+    name: "See my talks",
+    url: "https://example.com/talks",
+    icon: "FaGlobe",
+    isEnabled: true,
+  };
+  const res = await context.request.post("/api/account/manage/link", {
+    data: { ...link, variants: ["Conference talks"] },
+  });
+  const created = await res.json();
+
+  const updated = await context.request.put(
+    `/api/account/manage/link/${created._id}`,
+    { data: { ...link, name: "Watch my talks" } },
+  );
+  expect(updated.status()).toBe(200);
+  const saved = await (
+    await context.request.get(`/api/account/manage/link/${created._id}`)
+  ).json();
+  expect(saved.name).toBe("Watch my talks");
+  expect(saved.variants).toEqual(["Conference talks"]);
+
+  await context.request.delete(`/api/account/manage/link/${created._id}`);
+});
+
+test("Updating a link without an alias or schedule keeps them", async ({
+  browser,
+}) => {
+  const context = await login(browser);
+  const link = {
+    name: "Read my notes",
+    url: "https://example.com/notes",
+    icon: "FaGlobe",
+    isEnabled: true,
+  };
+  const startsAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const endsAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const res = await context.request.post("/api/account/manage/link", {
+    data: { ...link, slug: "kept-notes", startsAt, endsAt },
+  });
+  const created = await res.json();
+
+  const updated = await context.request.put(
+    `/api/account/manage/link/${created._id}`,
+    { data: { ...link, name: "Browse my notes" } },
+  );
+  expect(updated.status()).toBe(200);
+  const saved = await (
+    await context.request.get(`/api/account/manage/link/${created._id}`)
+  ).json();
+  expect(saved.name).toBe("Browse my notes");
+  expect(saved.slug).toBe("kept-notes");
+  expect(new Date(saved.startsAt).toISOString()).toBe(startsAt);
+  expect(new Date(saved.endsAt).toISOString()).toBe(endsAt);
+
+  // an empty value still clears them
+  await context.request.put(`/api/account/manage/link/${created._id}`, {
+    data: { ...link, slug: "", startsAt: "", endsAt: "" },
+  });
+  const cleared = await (
+    await context.request.get(`/api/account/manage/link/${created._id}`)
+  ).json();
+  expect(cleared.slug).toBeFalsy();
+  expect(cleared.startsAt).toBeFalsy();
+  expect(cleared.endsAt).toBeFalsy();
+
+  await context.request.delete(`/api/account/manage/link/${created._id}`);
+});
+
+test("Expired link shows a friendly page", async ({ page }) => {
+  await page.goto("/_test-profile-user-1/unavailable?schedule=expired");
+  await expect(page.locator("h1")).toHaveText("Link has expired");
+});
+
 test.describe("accessibility tests (light)", () => {
   test.use({ colorScheme: "light" });
 
@@ -1,5 +1,7 @@
 import { test, expect } from "@playwright/test";
 import AxeBuilder from "@axe-core/playwright";
+import connectMongo from "@config/mongo";
+import { LiveEvent, Profile } from "@models/index";
 import { login, logout } from "../setup/auth";
 
 test("Guest user cannot access statistics", async ({ browser }) => {
@@ -18,6 +20,156 @@ test("Logged in user can access statistics", async ({ browser }) => {
   await expect(page).toHaveURL(/account\/statistics/);
 });
 
+test("Statistics api accepts a date range", async ({ browser }) => {
+  const context = await login(browser);
+  const res = await context.request.get("/api/account/statistics?days=7");
+  expect(res.status()).toBe(200);
+  const data = await res.json();
+  expect(data.range.days).toBe(7);
+  expect(data.profile.daily.length).toBe(7);
+  expect(data.comparison.previous.days).toBe(7);
+
+  const customRes = await context.request.get(
+    "/api/account/statistics?from=2024-01-01&to=2024-01-14",
+  );
+  const customData = await customRes.json();
+  expect(customData.range.days).toBe(14);
+});
+
+test("Statistics api rejects an invalid range", async ({ browser }) => {
+  const context = await login(browser);
+  const res = await context.request.get("/api/account/statistics?days=12");
+  expect(res.status()).toBe(400);
+});
+
+test("Profile views are recorded by the hour", async ({ browser }) => {
+  const guest = await logout(browser);
+  const page = await guest.newPage();
+  await page.goto("/_test-profile-user-6");
+
+  const context = await login(browser);
+  const res = await context.request.get("/api/account/statistics?days=7");
+  const data = await res.json();
+  const hour = new Date();
+  hour.setMinutes(0, 0, 0);
+  const bucket = data.hourly.find(
+    (item) => new Date(item.time).getTime() === hour.getTime(),
+  );
+  expect(bucket.views).toBeGreaterThan(0);
+
+  const statsPage = await context.newPage();
+  await statsPage.goto("/account/statistics");
+  await expect(
+    statsPage.locator("h3").getByText("When your audience is active"),
+  ).toBeVisible();
+});
+
+test("Guest user cannot load live statistics", async ({ browser }) => {
+  const context = await logout(browser);
+  const res = await context.request.get("/api/account/statistics/live");
+  expect(res.status()).toBe(401);
+});
+
+test("Live panel shows profile views as they happen", async ({ browser }) => {
+  const context = await login(browser);
+  const statsPage = await context.newPage();
+  await statsPage.goto("/account/statistics");
+  await expect(statsPage.getByText(/^Live:/)).toBeVisible();
+
+  const guest = await logout(browser);
+  const page = await guest.newPage();
+  await page.goto("/_test-profile-user-6");
+
+  await expect(statsPage.getByText(/View from/).first()).toBeVisible({
+    timeout: 15000,
+  });
+});
+
+test("Live statistics are streamed as server-sent events", async ({
+  browser,
+}) => {
+  const context = await login(browser);
+  const page = await context.newPage();
+  await page.goto("/account/statistics");
+  const contentType = await page.evaluate(async () => {
+    const res = await fetch("/api/account/statistics/live");
+    await res.body.cancel();
+    return res.headers.get("content-type");
+  });
+  expect(contentType).toContain("text/event-stream");
+});
+
+test("Live events are only recorded while the panel is open", async ({
+  browser,
+}) => {
+  await connectMongo();
+  const username = "_test-profile-user-5";
+  await LiveEvent.deleteMany({ username });
+  await Profile.updateOne({ username }, { $unset: { "live.watchedAt": 1 } });
+
+  const guest = await logout(browser);
+  const page = await guest.newPage();
+  await page.goto(`/${username}`);
+  expect(await LiveEvent.countDocuments({ username })).toBe(0);
+
+  // the view is recorded by the profile page, not the live api
+  await Profile.updateOne({ username }, { "live.watchedAt": new Date() });
+  await page.goto(`/${username}`);
+  expect(
+    await LiveEvent.countDocuments({ username, type: "view" }),
+  ).toBeGreaterThan(0);
+});
+
+test("Guest user cannot export statistics", async ({ browser }) => {
+  const context = await logout(browser);
+  const res = await context.request.get(
+    "/api/account/statistics/export/profile",
+  );
+  expect(res.status()).toBe(401);
+});
+
+test("Statistics can be exported as csv and json", async ({ browser }) => {
+  const context = await login(browser);
+  const csvRes = await context.request.get(
+    "/api/account/statistics/export/profile?format=csv&days=30",
+  );
+  expect(csvRes.status()).toBe(200);
+  expect(csvRes.headers()["content-type"]).toContain("text/csv");
+  expect((await csvRes.text()).split("\n")[0]).toBe(
+    "date,granularity,views,visitors,referers,countries",
+  );
+
+  const jsonRes = await context.request.get(
+    "/api/account/statistics/export/links?format=json&days=90",
+  );
+  expect(jsonRes.status()).toBe(200);
+  expect(Array.isArray(await jsonRes.json())).toBe(true);
+});
+
+test("Csv and json exports use the same referer names", async ({ browser }) => {
+  const guest = await logout(browser);
+  const page = await guest.newPage();
+  await page.goto("/_test-profile-user-6", {
+    referer: "https://t.co/abc123",
+  });
+
+  const context = await login(browser);
+  const jsonRes = await context.request.get(
+    "/api/account/statistics/export/profile?format=json&days=7",
+  );
+  expect(jsonRes.status()).toBe(200);
+  const days = await jsonRes.json();
+  const referers = days.flatMap((day) => Object.keys(day.referers));
+  expect(referers).toContain("t.co");
+  referers.forEach((name) => expect(name).not.toContain("|"));
+
+  const csvRes = await context.request.get(
+    "/api/account/statistics/export/profile?format=csv&days=7",
+  );
+  expect(csvRes.status()).toBe(200);
+  expect(await csvRes.text()).toContain("t.co=");
+});
+
 test.describe("accessibility tests (light)", () => {
   test.use({ colorScheme: "light" });
 
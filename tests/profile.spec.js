@@ -3,7 +3,7 @@ import { test, expect } from "@playwright/test";
 import AxeBuilder from "@axe-core/playwright";
 
 import connectMongo from "@config/mongo";
-import { Profile, Link } from "@models/index";
+import { Profile, ProfileStats, Link } from "@models/index";
 
 test("Profile has title", async ({ page }) => {
   const username = "_test-profile-user-1";
@@ -69,6 +69,52 @@ test("Profile views increase", async ({ page }) => {
   expect(startingViews.views).toEqual(endingViews.views - 3);
 });
 
+test("Reloading a profile counts one unique visitor", async ({ page }) => {
+  await connectMongo();
+  const username = "_test-profile-user-4";
+  const date = new Date();
+  date.setHours(1, 0, 0, 0);
+  await page.goto(`/${username}`);
+  const startingStats = await ProfileStats.findOne({ username, date });
+
+  await page.goto(`/${username}`);
+  await page.goto(`/${username}`);
+
+  const endingStats = await ProfileStats.findOne({ username, date });
+  expect(endingStats.views).toEqual(startingStats.views + 2);
+  expect(endingStats.visitors).toEqual(startingStats.visitors);
+});
+
+test("Profile views from a public ip are counted", async ({ page }) => {
+  await connectMongo();
+  const username = "_test-profile-user-5";
+  await page.setExtraHTTPHeaders({ "x-forwarded-for": "203.0.113.7" });
+  await page.goto(`/${username}`);
+  const startingViews = await Profile.findOne({ username }, "views");
+
+  await page.goto(`/${username}`);
+
+  const endingViews = await Profile.findOne({ username }, "views");
+  expect(endingViews.views).toEqual(startingViews.views + 1);
+});
+
+test("Bot profile views are not counted", async ({ request }) => {
+  await connectMongo();
+  const username = "_test-profile-user-3";
+  const startingViews = await Profile.findOne({ username }, "views");
+
+  await request.get(`/${username}`, {
+    headers: {
+      "user-agent":
+        "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)",
+    },
+  });
+  await request.get(`/${username}`, { headers: { "user-agent": "curl/8.0" } });
+
+  const endingViews = await Profile.findOne({ username }, "views");
+  expect(endingViews.views).toEqual(startingViews.views);
+});
+
 test("Link clicks increase", async ({ page }) => {
   await connectMongo();
   const username = "_test-profile-user-6";
@@ -89,6 +135,57 @@ test("Link clicks increase", async ({ page }) => {
   expect(updateCurrentLinkClicks).toEqual(previousClickCount + 2); // it is clicked twice above
 });
 
+test("Public stats are only available when enabled", async ({ request }) => {
+  await connectMongo();
+  const username = "_test-profile-user-2";
+  await Profile.updateOne({ username }, { isStatsPublic: false });
+  const privateRes = await request.get(`/api/profiles/${username}/stats`);
+  expect(privateRes.status()).toBe(404);
+
+  await Profile.updateOne({ username }, { isStatsPublic: true });
+  const res = await request.get(`/api/profiles/${username}/stats`);
+  expect(res.status()).toBe(200);
+  const stats = await res.json();
+  expect(stats.days).toBe(30);
+  expect(Array.isArray(stats.countries)).toBe(true);
+  expect(stats.referers).toBeUndefined();
+  await Profile.updateOne({ username }, { isStatsPublic: false });
+});
+
+test("Public stats do not list links held for review", async ({ request }) => {
+  await connectMongo();
+  const username = "_test-profile-user-2";
+  const link = await Link.create({
+    username,
+    name: "Held link",
+    url: "https://bit.ly/held-link",
+    icon: "FaGlobe",
+    isEnabled: true,
+    clicks: 1000000,
+    safety: { status: "quarantined", reasons: ["shortener"] },
+  });
+  await Profile.updateOne({ username }, { isStatsPublic: true });
+
+  const res = await request.get(`/api/profiles/${username}/stats`);
+  expect(res.status()).toBe(200);
+  const stats = await res.json();
+  expect(stats.links.map((item) => item.url)).not.toContain(link.url);
+
+  await Profile.updateOne({ username }, { isStatsPublic: false });
+  await Link.deleteOne({ _id: link._id });
+});
+
+test("Public stats page shows the profile statistics", async ({ page }) => {
+  await connectMongo();
+  const username = "_test-profile-user-2";
+  await Profile.updateOne({ username }, { isStatsPublic: true });
+  await page.goto(`/${username}/stats`);
+  await expect(page.locator("h1")).toHaveText(
+    "Statistics for Test User Name 2",
+  );
+  await Profile.updateOne({ username }, { isStatsPublic: false });
+});
+
 test("Profile not found redirects to search page with error message", async ({
   page,
 }) => {
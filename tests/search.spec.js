@@ -120,6 +120,99 @@ test("find the profile after providing concise name", async ({ page }) => {
   await expect(profileHeaderText).toContain(searchTerm);
 });
 
+test("Search api paginates results with a cursor", async ({ request }) => {
+  const firstRes = await request.get("/api/search?slug=_test-profile&limit=2");
+  const firstPage = await firstRes.json();
+  expect(firstPage.users).toHaveLength(2);
+  expect(firstPage.total).toBeGreaterThan(2);
+  expect(firstPage.nextCursor).toBeTruthy();
+
+  const secondRes = await request.get(
+    `/api/search?slug=_test-profile&limit=2&cursor=${firstPage.nextCursor}`,
+  );
+  const secondPage = await secondRes.json();
+  expect(secondPage.users).toHaveLength(2);
+  expect(secondPage.users[0].username).not.toBe(firstPage.users[0].username);
+});
+
+test("Search api returns facet counts and filters by tag", async ({
+  request,
+}) => {
+  const res = await request.get("/api/search?slug=_test-profile");
+  const data = await res.json();
+  expect(data.facets.tags.length).toBeGreaterThan(0);
+  expect(data.facets.updatedWithin).toHaveLength(3);
+
+  const tag = data.facets.tags[0];
+  const filteredRes = await request.get(
+    `/api/search?slug=_test-profile&tags=${encodeURIComponent(tag.name)}`,
+  );
+  const filtered = await filteredRes.json();
+  expect(filtered.total).toBe(tag.total);
+});
+
+test("Search api suggests a tag when a misspelled search finds nothing", async ({
+  request,
+}) => {
+  const res = await request.get("/api/search?slug=javscript");
+  expect(res.status()).toBe(404);
+  const data = await res.json();
+  expect(data.suggestion).toBe("javascript");
+});
+
+test("Search page shows did you mean for a misspelled search", async ({
+  page,
+}) => {
+  await page.goto("/search");
+
+  const input = page.locator("[name='keyword']");
+  await input.fill("javscript");
+  await page.locator("[type='submit']").click();
+
+  await page.getByRole("button", { name: "javascript" }).click();
+  await expect(page).toHaveURL(/userSearchParam=javascript/);
+});
+
+test("Autocomplete api suggests usernames and tags", async ({ request }) => {
+  const res = await request.get("/api/search/autocomplete?q=_test-profile");
+  const data = await res.json();
+  expect(data.usernames.length).toBeGreaterThan(0);
+
+  const tagRes = await request.get("/api/search/autocomplete?q=typescrpt");
+  const tagData = await tagRes.json();
+  expect(tagData.tags.map((tag) => tag.name)).toContain("typescript");
+});
+
+test("Near api requires a place or coordinates", async ({ request }) => {
+  const res = await request.get("/api/search/near?radius=50");
+  expect(res.status()).toBe(400);
+});
+
+test("Near api returns profiles sorted by distance", async ({ request }) => {
+  const res = await request.get(
+    "/api/search/near?lat=51.5&lon=-0.12&radius=500",
+  );
+  expect(res.status()).toBe(200);
+  const data = await res.json();
+  const distances = data.users.map((user) => user.distance);
+  expect(distances).toEqual([...distances].sort((a, b) => a - b));
+  distances.forEach((distance) => expect(distance).toBeLessThanOrEqual(500));
+});
+
+test("Near api reports when results are truncated", async ({ request }) => {
+  const all = await (
+    await request.get("/api/search/near?lat=51.5&lon=-0.12&radius=1000")
+  ).json();
+  const res = await request.get(
+    "/api/search/near?lat=51.5&lon=-0.12&radius=1000&limit=1",
+  );
+  expect(res.status()).toBe(200);
+  const data = await res.json();
+  expect(data.limit).toBe(1);
+  expect(data.users.length).toBeLessThanOrEqual(1);
+  expect(data.isTruncated).toBe(all.total > 1);
+});
+
 test.describe("accessibility tests (light)", () => {
   test.use({ colorScheme: "light" });
 
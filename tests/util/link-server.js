@@ -0,0 +1,30 @@
+import http from "http";
+
+// stand-in website for the link checker, `/status/404` answers with that
+// status and `/no-head` only answers GET requests like some real websites
+export function startLinkServer() {
+  const server = http.createServer((req, res) => {
+    const [, route, code] = req.url.split("/");
+
+    if (route === "status") {
+      res.writeHead(parseInt(code, 10) || 200);
+      return res.end();
+    }
+    if (route === "no-head") {
+      res.writeHead(req.method === "HEAD" ? 405 : 200);
+      return res.end();
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      }),
+    );
+  });
+}